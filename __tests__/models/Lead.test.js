@@ -0,0 +1,219 @@
+const mongoose = require("mongoose");
+const Lead = require("../../models/Lead");
+
+const STATUSES = Lead.schema.path("status").enumValues;
+
+// Lead with save() stubbed out so status changes can run without a database
+const buildLead = (fields = {}) => {
+  const lead = new Lead({
+    clientId: new mongoose.Types.ObjectId(),
+    partnerId: new mongoose.Types.ObjectId(),
+    message: "Looking for a photographer for our wedding",
+    ...fields,
+  });
+  lead.save = jest.fn().mockResolvedValue(lead);
+  return lead;
+};
+
+describe("Lead transitions", () => {
+  it("allows only the forward moves and closing, for the listed roles", () => {
+    const allowed = {
+      new: { partner: ["contacted", "closed"], client: ["closed"], admin: ["contacted", "closed"] },
+      contacted: { partner: ["converted", "closed"], client: ["closed"], admin: ["converted", "closed"] },
+      converted: { partner: ["closed"], client: [], admin: ["closed"] },
+      closed: { partner: [], client: [], admin: [] },
+    };
+
+    for (const status of STATUSES) {
+      for (const role of ["partner", "client", "admin"]) {
+        expect(Lead.getAllowedTransitions(status, role)).toEqual(allowed[status][role]);
+      }
+    }
+  });
+
+  it("never allows a move back to new or to the current status", () => {
+    for (const status of STATUSES) {
+      const lead = buildLead({ status });
+      for (const role of ["partner", "client", "admin", "system"]) {
+        expect(lead.canTransition("new", role)).toBe(false);
+        expect(lead.canTransition(status, role)).toBe(false);
+      }
+    }
+  });
+
+  it("lets the system contact and convert leads but not close them", () => {
+    expect(Lead.getAllowedTransitions("new", "system")).toEqual(["contacted"]);
+    expect(Lead.getAllowedTransitions("contacted", "system")).toEqual(["converted"]);
+  });
+});
+
+describe("Lead.updateStatus", () => {
+  beforeEach(() => {
+    jest.spyOn(Lead, "rescoreOpenLeads").mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("stamps the stage timestamp and records a system note", async () => {
+    const lead = buildLead();
+    const userId = new mongoose.Types.ObjectId();
+
+    await lead.updateStatus("contacted", userId, { role: "partner" });
+
+    expect(lead.status).toBe("contacted");
+    expect(lead.contactedAt).toBeInstanceOf(Date);
+    expect(lead.notes[lead.notes.length - 1].note).toBe("Status changed to contacted");
+    expect(lead.notes[lead.notes.length - 1].system).toBe(true);
+    expect(lead.save).toHaveBeenCalledTimes(1);
+  });
+
+  it("records the close reason and the status it was closed from", async () => {
+    const lead = buildLead({ status: "contacted" });
+
+    await lead.updateStatus("closed", new mongoose.Types.ObjectId(), {
+      role: "client",
+      reason: "other",
+      note: "Found someone else",
+    });
+
+    expect(lead.status).toBe("closed");
+    expect(lead.closedAt).toBeInstanceOf(Date);
+    expect(lead.closeReason).toBe("other");
+    expect(lead.closeNote).toBe("Found someone else");
+    expect(lead.statusBeforeClose).toBe("contacted");
+  });
+
+  it("rescores the client's other open leads after a conversion", async () => {
+    const lead = buildLead({ status: "contacted" });
+
+    await lead.updateStatus("converted", new mongoose.Types.ObjectId(), { role: "partner" });
+
+    expect(lead.convertedAt).toBeInstanceOf(Date);
+    expect(Lead.rescoreOpenLeads).toHaveBeenCalledWith({ clientId: lead.clientId, _id: { $ne: lead._id } });
+  });
+
+  it("rejects a move outside the graph with a 409 listing the allowed moves", async () => {
+    const lead = buildLead({ status: "closed" });
+
+    await expect(lead.updateStatus("new", new mongoose.Types.ObjectId(), { role: "partner" })).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Cannot move lead from closed to new",
+      details: { currentStatus: "closed", allowedTransitions: [] },
+    });
+    expect(lead.save).not.toHaveBeenCalled();
+  });
+
+  it("rejects a move the role may not make", async () => {
+    const lead = buildLead();
+
+    await expect(
+      lead.updateStatus("contacted", new mongoose.Types.ObjectId(), { role: "client" }),
+    ).rejects.toMatchObject({
+      statusCode: 409,
+      details: { currentStatus: "new", allowedTransitions: ["closed"] },
+    });
+    expect(lead.status).toBe("new");
+  });
+});
+
+describe("Lead.reopen", () => {
+  it("restores the status the lead was closed from and keeps its timestamps", async () => {
+    const lead = buildLead({ status: "contacted" });
+    const userId = new mongoose.Types.ObjectId();
+
+    await lead.updateStatus("closed", userId, { role: "partner", reason: "other", note: "Paused" });
+    const { contactedAt } = lead;
+    await lead.reopen(userId, "partner");
+
+    expect(lead.status).toBe("contacted");
+    expect(lead.contactedAt).toBe(contactedAt);
+    expect(lead.reopenedAt).toBeInstanceOf(Date);
+    expect(lead.closeReason).toBeUndefined();
+    expect(lead.statusBeforeClose).toBeUndefined();
+    expect(lead.notes[lead.notes.length - 1].note).toBe("Lead reopened (status restored to contacted)");
+  });
+
+  it("falls back to the timestamps for leads closed without statusBeforeClose", async () => {
+    const converted = buildLead({ status: "closed", contactedAt: new Date(), convertedAt: new Date() });
+    const contacted = buildLead({ status: "closed", contactedAt: new Date() });
+    const untouched = buildLead({ status: "closed" });
+
+    await converted.reopen(new mongoose.Types.ObjectId(), "admin");
+    await contacted.reopen(new mongoose.Types.ObjectId(), "admin");
+    await untouched.reopen(new mongoose.Types.ObjectId(), "admin");
+
+    expect(converted.status).toBe("converted");
+    expect(contacted.status).toBe("contacted");
+    expect(untouched.status).toBe("new");
+  });
+
+  it("rejects clients (403) and leads that are not closed (409)", async () => {
+    const closed = buildLead({ status: "closed", statusBeforeClose: "new" });
+    const open = buildLead({ status: "contacted" });
+
+    await expect(closed.reopen(new mongoose.Types.ObjectId(), "client")).rejects.toMatchObject({
+      statusCode: 403,
+      message: "Only the lead's partner or an admin can reopen it",
+    });
+    await expect(open.reopen(new mongoose.Types.ObjectId(), "partner")).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Cannot reopen a contacted lead",
+    });
+    expect(closed.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("Lead.reassign", () => {
+  it("hides the previous partner's private notes from the new partner", async () => {
+    const lead = buildLead();
+    const oldPartnerId = lead.partnerId;
+    const newPartnerId = new mongoose.Types.ObjectId();
+    await lead.addNote("Client sounds price sensitive", oldPartnerId, { visibility: "partner" });
+    await lead.addNote("Sent our brochure", oldPartnerId, { visibility: "shared" });
+
+    await lead.reassign(newPartnerId, new mongoose.Types.ObjectId(), { reason: "Partner unavailable" });
+
+    const partnerView = lead.toViewerJSON("partner").notes.map((note) => note.note);
+    const adminView = lead.toViewerJSON("admin").notes.map((note) => note.note);
+
+    expect(lead.partnerId).toEqual(newPartnerId);
+    expect(partnerView).toEqual(["Sent our brochure"]);
+    expect(adminView).toContain("Client sounds price sensitive");
+    expect(lead.reassignments[0].fromPartnerId).toEqual(oldPartnerId);
+  });
+
+  it("keeps the reassignment reason from the client", async () => {
+    const lead = buildLead();
+
+    await lead.reassign(new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), { reason: "Slow to respond" });
+
+    expect(lead.toViewerJSON("client").reassignments[0].reason).toBeUndefined();
+    expect(lead.toViewerJSON("partner").reassignments[0].reason).toBe("Slow to respond");
+    expect(lead.toViewerJSON("admin").reassignments[0].reason).toBe("Slow to respond");
+  });
+});
+
+describe("Lead.toViewerJSON", () => {
+  it("shows screening results to admins only", () => {
+    const lead = buildLead({ screening: { spamScore: 70, signals: ["links"], quarantined: true } });
+
+    expect(lead.toViewerJSON("admin").screening.spamScore).toBe(70);
+    expect(lead.toViewerJSON("partner")).not.toHaveProperty("screening");
+    expect(lead.toViewerJSON("client")).not.toHaveProperty("screening");
+  });
+
+  it("shows the score breakdown to partners and admins but not to clients", () => {
+    const lead = buildLead({ score: 62, scoreFactors: { budget: 30 }, scoredAt: new Date(), priority: "high" });
+
+    const clientView = lead.toViewerJSON("client");
+
+    expect(clientView.priority).toBe("high");
+    ["score", "scoreFactors", "scoredAt", "priorityManual"].forEach((field) =>
+      expect(clientView).not.toHaveProperty(field),
+    );
+    expect(lead.toViewerJSON("partner").score).toBe(62);
+    expect(lead.toViewerJSON("admin").scoreFactors.budget).toBe(30);
+  });
+});
@@ -0,0 +1,66 @@
+const { FACTOR_WEIGHTS, calculateLeadScore, priorityForScore } = require("../../utils/leadScoring");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-03-01T12:00:00Z").getTime();
+
+const partner = {
+  services: [
+    { name: "Wedding photography", basePrice: 50000 },
+    { name: "Video", basePrice: 80000 },
+  ],
+};
+
+describe("priorityForScore", () => {
+  it("maps each score band to its priority", () => {
+    expect(priorityForScore(100)).toBe("urgent");
+    expect(priorityForScore(75)).toBe("urgent");
+    expect(priorityForScore(74)).toBe("high");
+    expect(priorityForScore(55)).toBe("high");
+    expect(priorityForScore(54)).toBe("medium");
+    expect(priorityForScore(30)).toBe("medium");
+    expect(priorityForScore(29)).toBe("low");
+    expect(priorityForScore(0)).toBe("low");
+  });
+});
+
+describe("calculateLeadScore", () => {
+  it("gives a complete, affordable, soon, referred lead from a repeat client every point", () => {
+    const lead = {
+      message: "We are planning a small wedding in the hills and need a photographer for the full day",
+      serviceType: "wedding",
+      eventDate: new Date(NOW + 5 * DAY_MS),
+      budget: { max: 60000 },
+      location: "Mumbai",
+      source: "partner_referral",
+    };
+
+    const { score, factors, priority } = calculateLeadScore(lead, { partner, conversions: 2, now: NOW });
+
+    expect(factors).toEqual(FACTOR_WEIGHTS);
+    expect(score).toBe(100);
+    expect(priority).toBe("urgent");
+  });
+
+  it("scores a bare lead low", () => {
+    const { score, factors, priority } = calculateLeadScore({ message: "Need a photographer" }, { now: NOW });
+
+    expect(factors).toEqual({ budget: 10, urgency: 5, completeness: 0, clientHistory: 5, source: 0 });
+    expect(score).toBe(20);
+    expect(priority).toBe("low");
+  });
+
+  it("compares the budget with the cheapest service matching the requested type", () => {
+    const lead = { serviceType: "video", budget: { max: 60000 } };
+
+    const { factors } = calculateLeadScore(lead, { partner, now: NOW });
+
+    // 60000 is within 75% of the 80000 video package but below it
+    expect(factors.budget).toBe(15);
+  });
+
+  it("gives no urgency points for an event in the past", () => {
+    const { factors } = calculateLeadScore({ eventDate: new Date(NOW - DAY_MS) }, { now: NOW });
+
+    expect(factors.urgency).toBe(0);
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock("../../utils/leadScreening", () => ({ screenLead: jest.fn() }));
+jest.mock("../../utils/replyTemplates", () => ({ addAutoReply: jest.fn().mockResolvedValue(null) }));
+jest.mock("../../utils/notificationService", () => ({
+  newLead: jest.fn().mockResolvedValue(null),
+  notifyAdmins: jest.fn().mockResolvedValue(undefined),
+}));
+
+const mongoose = require("mongoose");
+const Lead = require("../../models/Lead");
+const Partner = require("../../models/Partner");
+const { screenLead } = require("../../utils/leadScreening");
+const notificationService = require("../../utils/notificationService");
+const { createLead } = require("../../utils/leadService");
+
+const AT_DAILY_CAP = { duplicateOf: null, dailyCapReached: true, spamScore: 0, signals: [], quarantine: false };
+
+describe("createLead", () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const partnerId = new mongoose.Types.ObjectId();
+  const data = { partnerId, message: "Looking for a photographer for our wedding", source: "partner_referral" };
+
+  beforeEach(() => {
+    jest.spyOn(Partner, "findOne").mockResolvedValue({ userId: partnerId });
+    jest.spyOn(Lead.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    screenLead.mockResolvedValue(AT_DAILY_CAP);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("rejects a direct lead once the client reached the daily cap", async () => {
+    await expect(createLead(clientId, data)).rejects.toMatchObject({ statusCode: 429 });
+    expect(Lead.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("creates a lead at the daily cap when screening is skipped, as for an accepted referral", async () => {
+    const notification = { referralId: new mongoose.Types.ObjectId() };
+
+    const { lead } = await createLead(clientId, data, { notification, skipScreening: true });
+
+    expect(screenLead).not.toHaveBeenCalled();
+    expect(lead.save).toHaveBeenCalled();
+    expect(lead.screening.quarantined).toBe(false);
+    expect(lead.source).toBe("partner_referral");
+    expect(notificationService.newLead).toHaveBeenCalledWith(lead, notification);
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock("../../models/Lead", () => ({
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+}));
+jest.mock("../../utils/notificationService", () => ({
+  notify: jest.fn().mockResolvedValue(null),
+  notifyAdmins: jest.fn().mockResolvedValue(undefined),
+}));
+
+const mongoose = require("mongoose");
+const Lead = require("../../models/Lead");
+const notificationService = require("../../utils/notificationService");
+const { getSlaConfig, runSlaCheck } = require("../../utils/leadSla");
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date("2026-03-01T12:00:00Z");
+const ENV_NAMES = ["LEAD_SLA_REMINDER_HOURS", "LEAD_SLA_ESCALATION_HOURS", "LEAD_SLA_CHECK_MINUTES", "LEAD_SLA_SINCE"];
+
+// Lead.find(...).select(...).limit(...) resolving to the candidates for each step in turn
+const mockCandidates = (...batches) => {
+  batches.forEach((ids) => {
+    Lead.find.mockReturnValueOnce({
+      select: () => ({ limit: () => Promise.resolve(ids.map((_id) => ({ _id }))) }),
+    });
+  });
+};
+
+// Every $gte in a query, however deeply the date range is nested
+const lowerBounds = (query) =>
+  Object.entries(query).flatMap(([key, value]) => {
+    if (key === "$gte") return [value];
+    if (value && typeof value === "object" && !(value instanceof Date)) return lowerBounds(value);
+    return [];
+  });
+
+const claimedLead = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  partnerId: new mongoose.Types.ObjectId(),
+  createdAt: new Date(NOW.getTime() - 50 * HOUR_MS),
+  priority: "medium",
+  notes: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...fields,
+});
+
+describe("getSlaConfig", () => {
+  afterEach(() => {
+    ENV_NAMES.forEach((name) => delete process.env[name]);
+  });
+
+  it("uses the defaults when nothing is set", () => {
+    expect(getSlaConfig()).toEqual({ reminderHours: 24, escalationHours: 48, checkMinutes: 15, since: null });
+  });
+
+  it("keeps an explicit zero and ignores values that aren't numbers or dates", () => {
+    process.env.LEAD_SLA_REMINDER_HOURS = "0";
+    process.env.LEAD_SLA_ESCALATION_HOURS = "soon";
+    process.env.LEAD_SLA_SINCE = "not a date";
+
+    const config = getSlaConfig();
+
+    expect(config.reminderHours).toBe(0);
+    expect(config.escalationHours).toBe(48);
+    expect(config.since).toBeNull();
+  });
+
+  it("reads the rollout date", () => {
+    process.env.LEAD_SLA_SINCE = "2026-02-01T00:00:00Z";
+
+    expect(getSlaConfig().since).toEqual(new Date("2026-02-01T00:00:00Z"));
+  });
+});
+
+describe("runSlaCheck", () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+    ENV_NAMES.forEach((name) => delete process.env[name]);
+  });
+
+  it("looks for new leads whose window ended at the reminder and escalation cutoffs", async () => {
+    mockCandidates([], []);
+
+    await runSlaCheck(NOW);
+
+    const [reminderQuery, escalationQuery] = Lead.find.mock.calls.map(([query]) => JSON.stringify(query));
+    expect(Lead.find.mock.calls[0][0]).toMatchObject({ status: "new", deletedAt: null, "sla.remindedAt": null });
+    expect(Lead.find.mock.calls[1][0]).toMatchObject({ status: "new", deletedAt: null, "sla.escalatedAt": null });
+    expect(reminderQuery).toContain(new Date(NOW.getTime() - 24 * HOUR_MS).toISOString());
+    expect(escalationQuery).toContain(new Date(NOW.getTime() - 48 * HOUR_MS).toISOString());
+  });
+
+  it("only considers leads whose clock started after LEAD_SLA_SINCE", async () => {
+    process.env.LEAD_SLA_SINCE = "2026-02-15T00:00:00Z";
+    mockCandidates([], []);
+
+    await runSlaCheck(NOW);
+
+    Lead.find.mock.calls.forEach(([query]) => {
+      const bounds = lowerBounds(query);
+      expect(bounds.length).toBeGreaterThan(0);
+      bounds.forEach((bound) => expect(bound).toEqual(new Date("2026-02-15T00:00:00Z")));
+    });
+  });
+
+  it("reminds the partner only for the leads this run managed to claim", async () => {
+    const lead = claimedLead();
+    const [claimedId, takenId] = [lead._id, new mongoose.Types.ObjectId()];
+    mockCandidates([claimedId, takenId], []);
+    Lead.findOneAndUpdate.mockResolvedValueOnce(lead).mockResolvedValueOnce(null);
+
+    const result = await runSlaCheck(NOW);
+
+    expect(result).toEqual({ reminded: 1, escalated: 0 });
+    expect(Lead.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: takenId, status: "new", "sla.remindedAt": null },
+      { $set: { "sla.remindedAt": NOW } },
+      { new: true },
+    );
+    expect(notificationService.notify).toHaveBeenCalledTimes(1);
+    expect(notificationService.notify).toHaveBeenCalledWith(
+      lead.partnerId,
+      expect.objectContaining({ type: "lead_sla_reminder", data: expect.objectContaining({ leadId: lead._id }) }),
+    );
+  });
+
+  it("escalates a claimed breach: raises priority, records it and notifies partner and admins", async () => {
+    const lead = claimedLead();
+    mockCandidates([], [lead._id]);
+    Lead.findOneAndUpdate.mockResolvedValueOnce(lead);
+
+    const result = await runSlaCheck(NOW);
+
+    expect(result).toEqual({ reminded: 0, escalated: 1 });
+    expect(Lead.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: lead._id, status: "new", "sla.escalatedAt": null },
+      { $set: { "sla.escalatedAt": NOW, "sla.breached": true, "sla.breachedAt": NOW } },
+      { new: true },
+    );
+    expect(lead.priority).toBe("high");
+    expect(lead.notes[0]).toMatchObject({ note: "Response SLA breached; priority raised to high", system: true });
+    expect(lead.save).toHaveBeenCalled();
+    expect(notificationService.notify).toHaveBeenCalledWith(
+      lead.partnerId,
+      expect.objectContaining({ type: "lead_sla_breach" }),
+    );
+    expect(notificationService.notifyAdmins).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "lead_sla_breach" }),
+      "managePartners",
+    );
+  });
+
+  it("does nothing for a breach another instance already claimed", async () => {
+    mockCandidates([], [new mongoose.Types.ObjectId()]);
+    Lead.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const result = await runSlaCheck(NOW);
+
+    expect(result).toEqual({ reminded: 0, escalated: 0 });
+    expect(notificationService.notify).not.toHaveBeenCalled();
+    expect(notificationService.notifyAdmins).not.toHaveBeenCalled();
+  });
+
+  it("keeps urgent leads at urgent", async () => {
+    const lead = claimedLead({ priority: "urgent" });
+    mockCandidates([], [lead._id]);
+    Lead.findOneAndUpdate.mockResolvedValueOnce(lead);
+
+    await runSlaCheck(NOW);
+
+    expect(lead.priority).toBe("urgent");
+  });
+});
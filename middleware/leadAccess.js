@@ -0,0 +1,39 @@
+const Lead = require("../models/Lead");
+
+// Loads the lead named in the URL and makes sure the requester is part of it.
+// Sets req.lead and req.leadRole ("client", "partner" or "admin").
+const loadLead = async (req, res, next) => {
+  try {
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const role = lead.getParticipantRole(req.user);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    req.lead = lead;
+    req.leadRole = role;
+    next();
+  } catch (error) {
+    console.error("Load lead error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to load lead",
+    });
+  }
+};
+
+module.exports = {
+  loadLead,
+};
@@ -1,4 +1,6 @@
 const Joi = require("joi");
+const { LOCATION_MULTIPLIER_RANGE } = require("../utils/pricing");
+const { PIN_CODE_PATTERN } = require("../utils/pinCodes");
 
 const validatePartnerBasicInfo = (req, res, next) => {
   const schema = Joi.object({
@@ -78,13 +80,32 @@ const validatePartnerLocation = (req, res, next) => {
             lat: Joi.number().min(-90).max(90).required(),
             lng: Joi.number().min(-180).max(180).required(),
           }).optional(),
-          pinCodesServed: Joi.array().items(Joi.string()).optional(),
+          pinCodesServed: Joi.array()
+            .items(
+              Joi.string()
+                .replace(/\s+/g, "")
+                .pattern(PIN_CODE_PATTERN)
+                .messages({ "string.pattern.base": "PIN codes must be 6 digits and not start with 0" }),
+            )
+            .optional(),
         }),
       )
       .min(1)
       .required(),
     servingLocations: Joi.array().items(Joi.string()).min(1).required(),
-    locationPricing: Joi.object().pattern(Joi.string(), Joi.number().min(0)).optional(),
+    // City -> multiplier on every service's basePrice (1.2 = 20% more), not a price
+    locationPricing: Joi.object()
+      .pattern(
+        Joi.string(),
+        Joi.number()
+          .min(LOCATION_MULTIPLIER_RANGE.min)
+          .max(LOCATION_MULTIPLIER_RANGE.max)
+          .messages({
+            "number.min": `Location pricing values are multipliers of the base price, from ${LOCATION_MULTIPLIER_RANGE.min} to ${LOCATION_MULTIPLIER_RANGE.max}`,
+            "number.max": `Location pricing values are multipliers of the base price, from ${LOCATION_MULTIPLIER_RANGE.min} to ${LOCATION_MULTIPLIER_RANGE.max}`,
+          }),
+      )
+      .optional(),
   });
 
   const { error } = schema.validate(req.body);
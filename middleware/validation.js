@@ -76,8 +76,106 @@ const validateService = (req, res, next) => {
   next();
 };
 
+const validateAvailability = (req, res, next) => {
+  const schema = Joi.object({
+    defaultCapacity: Joi.number().integer().min(1).max(50).optional(),
+    conflictPolicy: Joi.string().valid("warn", "reject").optional(),
+    recurringUnavailability: Joi.array()
+      .items(
+        Joi.object({
+          dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+          reason: Joi.string().max(200).optional().allow(""),
+        }),
+      )
+      .max(7)
+      .optional(),
+    capacityOverrides: Joi.array()
+      .items(
+        Joi.object({
+          date: Joi.date().required(),
+          capacity: Joi.number().integer().min(0).max(50).required(),
+        }),
+      )
+      .max(366)
+      .optional(),
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details[0].message,
+    });
+  }
+
+  next();
+};
+
+const validateBlackout = (req, res, next) => {
+  const schema = Joi.object({
+    startDate: Joi.date().required(),
+    endDate: Joi.date().min(Joi.ref("startDate")).optional(),
+    reason: Joi.string().max(200).optional().allow(""),
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details[0].message,
+    });
+  }
+
+  next();
+};
+
+const validateReplyTemplate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    body: Joi.string().trim().min(1).max(1000).required(),
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details[0].message,
+    });
+  }
+
+  next();
+};
+
+const validateAutoReply = (req, res, next) => {
+  const schema = Joi.object({
+    enabled: Joi.boolean().required(),
+    templateId: Joi.string()
+      .hex()
+      .length(24)
+      .when("enabled", { is: true, then: Joi.required(), otherwise: Joi.optional() }),
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation error",
+      details: error.details[0].message,
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   validateUserRegistration,
   validatePartnerProfile,
   validateService,
+  validateAvailability,
+  validateBlackout,
+  validateReplyTemplate,
+  validateAutoReply,
 };
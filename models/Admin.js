@@ -25,6 +25,10 @@ const adminSchema = new mongoose.Schema(
       linkedin: String,
       twitter: String,
     },
+    // Opt-in feeds beyond the permission-based alerts
+    notificationPreferences: {
+      systemEvents: { type: Boolean, default: false },
+    },
     lastActiveAt: {
       type: Date,
       default: Date.now,
@@ -58,4 +62,26 @@ adminSchema.statics.findActive = function () {
   return this.find({ isActive: true });
 };
 
+// User IDs of active admins who should receive a notification.
+// Super admins hold every permission; system events go only to subscribed super admins.
+adminSchema.statics.findNotificationRecipients = async function (options = {}) {
+  const { permission, systemEvents = false } = options;
+  const query = { isActive: true };
+
+  if (systemEvents) {
+    query.role = "super_admin";
+    query["notificationPreferences.systemEvents"] = true;
+  } else if (permission) {
+    query.$or = [{ role: "super_admin" }, { [`permissions.${permission}`]: true }];
+  }
+
+  const admins = await this.find(query).populate({
+    path: "userId",
+    match: { isActive: true, deletedAt: null, userType: "admin" },
+    select: "_id",
+  });
+
+  return admins.filter((adminRecord) => adminRecord.userId).map((adminRecord) => adminRecord.userId._id);
+};
+
 module.exports = mongoose.model("Admin", adminSchema);
@@ -0,0 +1,227 @@
+const mongoose = require("mongoose");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar days are tracked in UTC
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const availabilitySchema = new mongoose.Schema(
+  {
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Number of bookings the partner can take on a single day (studios/firms can run several crews)
+    defaultCapacity: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // What happens when a client sends a lead for a fully booked day
+    conflictPolicy: {
+      type: String,
+      enum: ["warn", "reject"],
+      default: "warn",
+    },
+    blackoutDates: [
+      {
+        startDate: {
+          type: Date,
+          required: true,
+        },
+        endDate: {
+          type: Date,
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    recurringUnavailability: [
+      {
+        dayOfWeek: {
+          type: Number,
+          min: 0, // Sunday
+          max: 6,
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+        },
+      },
+    ],
+    capacityOverrides: [
+      {
+        date: {
+          type: Date,
+          required: true,
+        },
+        capacity: {
+          type: Number,
+          min: 0,
+          required: true,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+availabilitySchema.index({ "blackoutDates.startDate": 1, "blackoutDates.endDate": 1 });
+availabilitySchema.index({ "recurringUnavailability.dayOfWeek": 1 });
+
+// Normalize dates to whole days before saving
+availabilitySchema.pre("save", function (next) {
+  this.blackoutDates.forEach((blackout) => {
+    blackout.startDate = startOfDay(blackout.startDate);
+    blackout.endDate = startOfDay(blackout.endDate);
+  });
+  this.capacityOverrides.forEach((override) => {
+    override.date = startOfDay(override.date);
+  });
+  next();
+});
+
+// Instance methods
+// Blackouts win over everything, then per-date overrides, then recurring days off, then the default
+availabilitySchema.methods.getCapacityFor = function (date) {
+  const day = startOfDay(date);
+
+  const blackout = this.blackoutDates.find((entry) => entry.startDate <= day && entry.endDate >= day);
+  if (blackout) {
+    return { capacity: 0, reason: blackout.reason || "Unavailable" };
+  }
+
+  const override = this.capacityOverrides.find((entry) => entry.date.getTime() === day.getTime());
+  if (override) {
+    return { capacity: override.capacity, reason: override.capacity === 0 ? "Unavailable" : null };
+  }
+
+  const recurring = this.recurringUnavailability.find((entry) => entry.dayOfWeek === day.getUTCDay());
+  if (recurring) {
+    return { capacity: 0, reason: recurring.reason || "Unavailable" };
+  }
+
+  return { capacity: this.defaultCapacity, reason: null };
+};
+
+// Static methods
+availabilitySchema.statics.startOfDay = startOfDay;
+
+availabilitySchema.statics.findForPartner = async function (partnerUserId) {
+  const availability = await this.findOne({ partnerId: partnerUserId });
+  return availability || new this({ partnerId: partnerUserId });
+};
+
+// Count active bookings per partner per day within [from, to]
+availabilitySchema.statics.countBookingsByDay = async function (match, from, to) {
+  return mongoose.model("Booking").aggregate([
+    {
+      $match: {
+        ...match,
+        deletedAt: null,
+        status: { $in: ["confirmed", "in_progress"] },
+        eventDates: { $gte: from, $lt: to },
+      },
+    },
+    { $unwind: "$eventDates" },
+    { $match: { eventDates: { $gte: from, $lt: to } } },
+    {
+      $group: {
+        _id: {
+          partnerId: "$partnerId",
+          day: { $dateToString: { format: "%Y-%m-%d", date: "$eventDates" } },
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+};
+
+// Day-by-day availability for one partner, inclusive of both ends
+availabilitySchema.statics.getCalendar = async function (partnerUserId, fromDate, toDate, availability = null) {
+  const from = startOfDay(fromDate);
+  const to = new Date(startOfDay(toDate).getTime() + DAY_MS);
+
+  const calendar = availability || (await this.findForPartner(partnerUserId));
+  const bookingCounts = await this.countBookingsByDay(
+    { partnerId: new mongoose.Types.ObjectId(partnerUserId) },
+    from,
+    to,
+  );
+
+  const days = [];
+  for (let day = from; day < to; day = new Date(day.getTime() + DAY_MS)) {
+    const key = day.toISOString().slice(0, 10);
+    const { capacity, reason } = calendar.getCapacityFor(day);
+    const booked = bookingCounts.find((entry) => entry._id.day === key)?.count || 0;
+
+    days.push({
+      date: key,
+      capacity,
+      booked,
+      available: booked < capacity,
+      reason: booked >= capacity && capacity > 0 ? "Fully booked" : reason,
+    });
+  }
+
+  return days;
+};
+
+availabilitySchema.statics.getDayStatus = async function (partnerUserId, date) {
+  const availability = await this.findForPartner(partnerUserId);
+  const [day] = await this.getCalendar(partnerUserId, date, date, availability);
+  return { ...day, conflictPolicy: availability.conflictPolicy };
+};
+
+// User IDs of partners who cannot take another booking on the given date
+availabilitySchema.statics.findUnavailablePartnerIds = async function (date) {
+  const from = startOfDay(date);
+  const to = new Date(from.getTime() + DAY_MS);
+
+  const [calendars, bookingCounts] = await Promise.all([
+    this.find({
+      $or: [
+        { blackoutDates: { $elemMatch: { startDate: { $lte: from }, endDate: { $gte: from } } } },
+        { "recurringUnavailability.dayOfWeek": from.getUTCDay() },
+        { "capacityOverrides.date": from },
+        { defaultCapacity: { $gt: 1 } },
+      ],
+    }),
+    this.countBookingsByDay({}, from, to),
+  ]);
+
+  const unavailable = new Set();
+
+  calendars.forEach((availability) => {
+    if (availability.getCapacityFor(from).capacity === 0) {
+      unavailable.add(availability.partnerId.toString());
+    }
+  });
+
+  bookingCounts.forEach((entry) => {
+    const partnerId = entry._id.partnerId.toString();
+    const availability = calendars.find((calendar) => calendar.partnerId.toString() === partnerId);
+    const capacity = availability ? availability.getCapacityFor(from).capacity : 1;
+
+    if (entry.count >= capacity) {
+      unavailable.add(partnerId);
+    }
+  });
+
+  return [...unavailable].map((id) => new mongoose.Types.ObjectId(id));
+};
+
+module.exports = mongoose.model("Availability", availabilitySchema);
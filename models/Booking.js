@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+
+const bookingSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+      unique: true, // a converted lead produces a single booking
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Snapshot of the partner's services at the time of booking
+    services: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        priceUnit: {
+          type: String,
+          enum: ["per_hour", "per_day", "per_project"],
+        },
+        unitPrice: {
+          type: Number,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+      },
+    ],
+    eventDates: {
+      type: [Date],
+      validate: {
+        validator: (dates) => dates.length > 0,
+        message: "At least one event date is required",
+      },
+    },
+    agreedPrice: {
+      amount: {
+        type: Number,
+        required: true,
+        min: 0,
+      },
+      currency: {
+        type: String,
+        default: "INR",
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: ["confirmed", "in_progress", "completed", "cancelled"],
+      default: "confirmed",
+    },
+    // Tracking fields
+    startedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+    },
+    statusHistory: [
+      {
+        status: String,
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Allowed lifecycle moves and who may make them
+const BOOKING_TRANSITIONS = {
+  confirmed: {
+    in_progress: ["partner", "admin"],
+    cancelled: ["client", "partner", "admin"],
+  },
+  in_progress: {
+    completed: ["partner", "admin"],
+    cancelled: ["partner", "admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// Indexes
+bookingSchema.index({ partnerId: 1, status: 1 });
+bookingSchema.index({ clientId: 1, createdAt: -1 });
+bookingSchema.index({ eventDates: 1 });
+
+// Keep the partner's project counters in sync whenever a booking is created or changes status
+bookingSchema.pre("save", function (next) {
+  this.$locals.statusChanged = this.isNew || this.isModified("status");
+  next();
+});
+
+bookingSchema.post("save", async function (doc) {
+  if (!doc.$locals.statusChanged) return;
+
+  try {
+    await doc.constructor.syncPartnerProjectStats(doc.partnerId);
+  } catch (error) {
+    console.error("Sync partner project stats error:", error);
+  }
+});
+
+// Instance methods
+bookingSchema.methods.canTransition = function (newStatus, role) {
+  const allowedRoles = BOOKING_TRANSITIONS[this.status]?.[newStatus];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+bookingSchema.methods.updateStatus = function (newStatus, userId, reason) {
+  this.status = newStatus;
+
+  switch (newStatus) {
+  case "in_progress":
+    this.startedAt = new Date();
+    break;
+  case "completed":
+    this.completedAt = new Date();
+    break;
+  case "cancelled":
+    this.cancelledAt = new Date();
+    this.cancelledBy = userId;
+    this.cancellationReason = reason;
+    break;
+  }
+
+  this.statusHistory.push({
+    status: newStatus,
+    changedBy: userId,
+    changedAt: new Date(),
+  });
+
+  return this.save();
+};
+
+// Static methods
+bookingSchema.statics.getAllowedTransitions = function (status, role) {
+  return Object.keys(BOOKING_TRANSITIONS[status] || {}).filter((next) =>
+    BOOKING_TRANSITIONS[status][next].includes(role),
+  );
+};
+
+// Recompute Partner.projectStats from the partner's bookings
+bookingSchema.statics.syncPartnerProjectStats = async function (partnerUserId) {
+  const counts = await this.aggregate([
+    { $match: { partnerId: new mongoose.Types.ObjectId(partnerUserId), deletedAt: null } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+
+  const countFor = (status) => counts.find((entry) => entry._id === status)?.count || 0;
+
+  const projectStats = {
+    total: countFor("confirmed") + countFor("in_progress") + countFor("completed"),
+    completed: countFor("completed"),
+    ongoing: countFor("confirmed") + countFor("in_progress"),
+  };
+
+  await mongoose.model("Partner").updateOne({ userId: partnerUserId }, { $set: { projectStats } });
+
+  return projectStats;
+};
+
+module.exports = mongoose.model("Booking", bookingSchema);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Named sequences for monotonic IDs (e.g. notification event IDs)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Static methods
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// A client's request for quotes that fans out into one lead per partner
+const inquirySchema = new mongoose.Schema(
+  {
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    serviceType: {
+      type: String,
+      trim: true,
+    },
+    eventDate: {
+      type: Date,
+    },
+    budget: {
+      min: Number,
+      max: Number,
+      currency: {
+        type: String,
+        default: "INR",
+      },
+    },
+    location: {
+      type: String,
+      trim: true,
+    },
+    // manual: the client picked the partners; auto: matched by specialization, location and budget
+    selectionMode: {
+      type: String,
+      enum: ["manual", "auto"],
+      required: true,
+    },
+    // Partner user IDs the inquiry was sent to
+    partnerIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    leadIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Lead",
+      },
+    ],
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+inquirySchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Inquiry", inquirySchema);
@@ -1,4 +1,6 @@
 const mongoose = require("mongoose");
+const LeadHistory = require("./LeadHistory");
+const { applyLeadScore } = require("../utils/leadScoring");
 
 const leadSchema = new mongoose.Schema(
   {
@@ -58,6 +60,23 @@ const leadSchema = new mongoose.Schema(
     closedAt: {
       type: Date,
     },
+    closeReason: {
+      type: String,
+      enum: ["lost_to_competitor", "budget", "date_unavailable", "spam", "client_withdrew", "other"],
+    },
+    closeNote: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Status to restore when a closed lead is reopened
+    statusBeforeClose: {
+      type: String,
+      enum: ["new", "contacted", "converted"],
+    },
+    reopenedAt: {
+      type: Date,
+    },
     notes: [
       {
         note: String,
@@ -69,6 +88,46 @@ const leadSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // shared: client, partner and admins; partner: partner and admins; admin: admins only
+        visibility: {
+          type: String,
+          enum: ["shared", "partner", "admin"],
+          default: "shared",
+        },
+        mentions: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+          },
+        ],
+        // Machine-written entries (e.g. status changes) cannot be edited or deleted
+        system: {
+          type: Boolean,
+          default: false,
+        },
+        editedAt: {
+          type: Date,
+          default: null,
+        },
+        editHistory: [
+          {
+            note: String,
+            editedAt: Date,
+            editedBy: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "User",
+            },
+          },
+        ],
+        deletedAt: {
+          type: Date,
+          default: null,
+        },
+        deletedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
       },
     ],
     priority: {
@@ -76,11 +135,132 @@ const leadSchema = new mongoose.Schema(
       enum: ["low", "medium", "high", "urgent"],
       default: "medium",
     },
+    // Set when a person picks the priority; scoring then stops changing it
+    priorityManual: {
+      type: Boolean,
+      default: false,
+    },
+    // Automatic score (0-100) and the points each factor contributed, see utils/leadScoring.js
+    score: {
+      type: Number,
+      default: null,
+    },
+    scoreFactors: {
+      budget: Number,
+      urgency: Number,
+      completeness: Number,
+      clientHistory: Number,
+      source: Number,
+    },
+    scoredAt: {
+      type: Date,
+      default: null,
+    },
     source: {
       type: String,
-      enum: ["website", "social_media", "referral", "advertisement", "direct"],
+      enum: ["website", "social_media", "referral", "advertisement", "direct", "partner_referral"],
       default: "website",
     },
+    // Response SLA tracking while the lead is new (see utils/leadSla.js)
+    sla: {
+      // When the response clock started; null means createdAt (reset on reassignment
+      // and on release from quarantine)
+      startedAt: {
+        type: Date,
+        default: null,
+      },
+      remindedAt: {
+        type: Date,
+        default: null,
+      },
+      escalatedAt: {
+        type: Date,
+        default: null,
+      },
+      breached: {
+        type: Boolean,
+        default: false,
+      },
+      breachedAt: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Spam screening at creation (see utils/leadScreening.js). Quarantined leads are
+    // hidden from the partner until an admin releases them.
+    screening: {
+      spamScore: {
+        type: Number,
+        default: 0,
+      },
+      signals: [String],
+      quarantined: {
+        type: Boolean,
+        default: false,
+      },
+      quarantinedAt: {
+        type: Date,
+        default: null,
+      },
+      decision: {
+        type: String,
+        enum: ["released", "rejected"],
+      },
+      reviewedAt: {
+        type: Date,
+        default: null,
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null,
+      },
+    },
+    // Admin transfers between partners, oldest first
+    reassignments: [
+      {
+        fromPartnerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        toPartnerId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reassignedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        reason: String,
+        // obtained: the client agreed to the transfer; not_required: admin moved it without asking
+        clientConsent: {
+          type: String,
+          enum: ["obtained", "not_required"],
+          default: "not_required",
+        },
+        // SLA breach carried by the previous partner, kept for the record
+        slaBreached: {
+          type: Boolean,
+          default: false,
+        },
+        reassignedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Set when the lead was fanned out from a multi-partner inquiry; links sibling leads
+    inquiryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Inquiry",
+      default: null,
+    },
+    // Set when the lead was created from another partner's referral
+    referralId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Referral",
+      default: null,
+    },
     deletedAt: {
       type: Date,
       default: null,
@@ -93,12 +273,113 @@ const leadSchema = new mongoose.Schema(
   },
 );
 
+// Note visibility scopes each viewer role is allowed to read
+const NOTE_VISIBILITY_BY_ROLE = {
+  client: ["shared"],
+  partner: ["shared", "partner"],
+  admin: ["shared", "partner", "admin"],
+};
+
+// Allowed status moves and who may make them ("system" covers automatic moves such as quote acceptance)
+const LEAD_TRANSITIONS = {
+  new: {
+    contacted: ["partner", "admin", "system"],
+    closed: ["client", "partner", "admin"],
+  },
+  contacted: {
+    converted: ["partner", "admin", "system"],
+    closed: ["client", "partner", "admin"],
+  },
+  converted: {
+    closed: ["partner", "admin"],
+  },
+  closed: {},
+};
+
+const LEAD_REOPEN_ROLES = ["partner", "admin"];
+
+const transitionError = (message, details, statusCode = 409) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
 // Indexes for better performance
 leadSchema.index({ clientId: 1, partnerId: 1 });
 leadSchema.index({ status: 1, createdAt: -1 });
 leadSchema.index({ partnerId: 1, status: 1 });
 leadSchema.index({ createdAt: -1 });
 leadSchema.index({ deletedAt: 1 });
+leadSchema.index({ inquiryId: 1 });
+leadSchema.index({ "screening.quarantined": 1, createdAt: -1 });
+leadSchema.index({ partnerId: 1, score: -1 });
+
+// Field-level audit trail: changes to these fields are written to LeadHistory on save.
+// Callers name the acting user with setActor(); unattributed changes are recorded as system changes.
+const TRACKED_FIELDS = ["message", "budget", "eventDate", "location", "priority", "status", "partnerId"];
+
+const snapshotTracked = (lead) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach((field) => {
+    let value = lead.get(field);
+    if (value && value._id instanceof mongoose.Types.ObjectId) {
+      value = value._id; // populated reference
+    } else if (value && typeof value === "object" && !(value instanceof Date)) {
+      value = { ...value }; // nested object such as budget
+    }
+    snapshot[field] = value;
+  });
+  return snapshot;
+};
+
+// Fields that feed the priority score; changing any of them rescores the lead
+const SCORING_FIELDS = ["message", "serviceType", "eventDate", "budget", "location", "source", "partnerId"];
+
+// Registered before the history hook so a changed priority is recorded too
+leadSchema.pre("save", async function () {
+  if (this.isNew || SCORING_FIELDS.some((field) => this.isModified(field))) {
+    await applyLeadScore(this);
+  }
+});
+
+leadSchema.post("init", function () {
+  this.$locals.tracked = snapshotTracked(this);
+});
+
+leadSchema.pre("save", function (next) {
+  if (this.isNew) return next();
+
+  const original = this.$locals.tracked || {};
+  const current = snapshotTracked(this);
+  const changedAt = new Date();
+
+  this.$locals.historyEntries = TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(original[field]) !== JSON.stringify(current[field]),
+  ).map((field) => ({
+    leadId: this._id,
+    field,
+    oldValue: original[field] ?? null,
+    newValue: current[field] ?? null,
+    changedBy: this.$locals.actorId || null,
+    changedAt,
+  }));
+  next();
+});
+
+leadSchema.post("save", async function (doc) {
+  const entries = doc.$locals.historyEntries || [];
+  doc.$locals.tracked = snapshotTracked(doc);
+  doc.$locals.historyEntries = [];
+
+  if (entries.length === 0) return;
+
+  try {
+    await LeadHistory.insertMany(entries);
+  } catch (error) {
+    console.error("Record lead history error:", error);
+  }
+});
 
 // Virtual for response time (how long it took to contact)
 leadSchema.virtual("responseTime").get(function () {
@@ -117,38 +398,207 @@ leadSchema.virtual("conversionTime").get(function () {
 });
 
 // Instance methods
-leadSchema.methods.updateStatus = async function (newStatus, userId) {
+leadSchema.methods.setActor = function (userId) {
+  this.$locals.actorId = userId;
+  return this;
+};
+
+leadSchema.methods.canTransition = function (newStatus, role) {
+  const allowedRoles = LEAD_TRANSITIONS[this.status]?.[newStatus];
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+leadSchema.methods.canReopen = function (role) {
+  return this.status === "closed" && LEAD_REOPEN_ROLES.includes(role);
+};
+
+// Options: role performing the move (defaults to "system"), plus reason/note when closing
+leadSchema.methods.updateStatus = async function (newStatus, userId, options = {}) {
+  const { role = "system", reason, note } = options;
+
+  if (!this.canTransition(newStatus, role)) {
+    throw transitionError(`Cannot move lead from ${this.status} to ${newStatus}`, {
+      currentStatus: this.status,
+      allowedTransitions: this.constructor.getAllowedTransitions(this.status, role),
+    });
+  }
+
+  const previousStatus = this.status;
+  this.setActor(userId);
   this.status = newStatus;
 
-  // Update timestamp based on status
+  // Timestamps record the first time a lead reached each stage
   switch (newStatus) {
   case "contacted":
-    this.contactedAt = new Date();
+    this.contactedAt = this.contactedAt || new Date();
     break;
   case "converted":
-    this.convertedAt = new Date();
+    this.convertedAt = this.convertedAt || new Date();
     break;
   case "closed":
     this.closedAt = new Date();
+    this.closeReason = reason;
+    this.closeNote = note;
+    this.statusBeforeClose = previousStatus;
     break;
   }
 
   // Add a note about status change
   this.notes.push({
-    note: `Status changed to ${newStatus}`,
+    note: newStatus === "closed" ? `Status changed to closed (${reason})` : `Status changed to ${newStatus}`,
     addedBy: userId,
     addedAt: new Date(),
+    system: true,
+  });
+
+  await this.save();
+
+  // A conversion improves the client's history, which feeds the score of their other leads
+  if (newStatus === "converted") {
+    await this.constructor.rescoreOpenLeads({ clientId: this.clientId, _id: { $ne: this._id } });
+  }
+
+  return this;
+};
+
+// Restore a closed lead to the stage it was closed from, keeping its original timestamps
+leadSchema.methods.reopen = async function (userId, role) {
+  if (this.status !== "closed") {
+    throw transitionError(`Cannot reopen a ${this.status} lead`, { currentStatus: this.status });
+  }
+
+  if (!this.canReopen(role)) {
+    throw transitionError("Only the lead's partner or an admin can reopen it", { currentStatus: this.status }, 403);
+  }
+
+  // Leads closed before statusBeforeClose existed fall back to their timestamps
+  let restoredStatus = this.statusBeforeClose;
+  if (!restoredStatus) {
+    if (this.convertedAt) restoredStatus = "converted";
+    else if (this.contactedAt) restoredStatus = "contacted";
+    else restoredStatus = "new";
+  }
+
+  this.setActor(userId);
+  this.status = restoredStatus;
+  this.reopenedAt = new Date();
+  this.closeReason = undefined;
+  this.closeNote = undefined;
+  this.statusBeforeClose = undefined;
+
+  this.notes.push({
+    note: `Lead reopened (status restored to ${restoredStatus})`,
+    addedBy: userId,
+    addedAt: new Date(),
+    system: true,
   });
 
   return this.save();
 };
 
-leadSchema.methods.addNote = function (note, userId) {
+leadSchema.methods.addNote = function (note, userId, options = {}) {
+  const { visibility = "shared", mentions = [] } = options;
+
   this.notes.push({
     note: note,
     addedBy: userId,
     addedAt: new Date(),
+    visibility,
+    mentions,
+  });
+  return this.save();
+};
+
+leadSchema.methods.editNote = function (noteId, note, userId) {
+  const existing = this.notes.id(noteId);
+
+  existing.editHistory.push({
+    note: existing.note,
+    editedAt: new Date(),
+    editedBy: userId,
+  });
+  existing.note = note;
+  existing.editedAt = new Date();
+
+  return this.save();
+};
+
+leadSchema.methods.removeNote = function (noteId, userId) {
+  const existing = this.notes.id(noteId);
+
+  existing.deletedAt = new Date();
+  existing.deletedBy = userId;
+
+  return this.save();
+};
+
+// Role the given user plays on this lead, or null when they are not involved
+leadSchema.methods.getParticipantRole = function (user) {
+  if (!user || !user.id) return null;
+
+  const userId = user.id.toString();
+  const clientId = (this.clientId._id || this.clientId).toString();
+  const partnerId = (this.partnerId._id || this.partnerId).toString();
+
+  if (user.userType === "admin") return "admin";
+  // Quarantined leads never reach the partner
+  if (partnerId === userId) return this.screening?.quarantined ? null : "partner";
+  if (clientId === userId) return "client";
+  return null;
+};
+
+// Plain object for API responses with notes filtered to what the viewer may see
+leadSchema.methods.toViewerJSON = function (viewerRole) {
+  const allowed = NOTE_VISIBILITY_BY_ROLE[viewerRole] || NOTE_VISIBILITY_BY_ROLE.client;
+  const lead = this.toJSON();
+
+  lead.notes = (lead.notes || []).filter(
+    (note) => allowed.includes(note.visibility || "shared") && (viewerRole === "admin" || !note.deletedAt),
+  );
+
+  // Spam scores and duplicate matches are for moderators only
+  if (viewerRole !== "admin") delete lead.screening;
+
+  // Why a lead changed hands and how it was scored are between the admins and the partners
+  if (viewerRole === "client") {
+    (lead.reassignments || []).forEach((reassignment) => delete reassignment.reason);
+    ["score", "scoreFactors", "scoredAt", "priorityManual"].forEach((field) => delete lead[field]);
+  }
+
+  return lead;
+};
+
+// Move the lead to another partner. Shared notes, messages and history stay with the lead;
+// the previous partner's private notes become admin-only so the new partner can't read them.
+leadSchema.methods.reassign = function (toPartnerId, adminId, options = {}) {
+  const { reason, clientConsent = "not_required" } = options;
+
+  this.setActor(adminId);
+  this.notes.forEach((note) => {
+    if (note.visibility === "partner") note.visibility = "admin";
+  });
+  this.reassignments.push({
+    fromPartnerId: this.partnerId,
+    toPartnerId,
+    reassignedBy: adminId,
+    reason,
+    clientConsent,
+    slaBreached: Boolean(this.sla?.breached),
+    reassignedAt: new Date(),
+  });
+  this.partnerId = toPartnerId;
+
+  // The new partner gets a fresh response window
+  this.sla = { startedAt: new Date(), remindedAt: null, escalatedAt: null, breached: false, breachedAt: null };
+
+  this.notes.push({
+    note: `Lead reassigned to a new partner (${reason})`,
+    addedBy: adminId,
+    addedAt: new Date(),
+    visibility: "admin",
+    system: true,
   });
+
   return this.save();
 };
 
@@ -158,13 +608,37 @@ leadSchema.methods.softDelete = function () {
 };
 
 // Static methods
+leadSchema.statics.getAllowedTransitions = function (status, role) {
+  return Object.keys(LEAD_TRANSITIONS[status] || {}).filter((next) => LEAD_TRANSITIONS[status][next].includes(role));
+};
+
+leadSchema.statics.canViewNote = function (viewerRole, visibility) {
+  return (NOTE_VISIBILITY_BY_ROLE[viewerRole] || []).includes(visibility);
+};
+
 leadSchema.statics.findActive = function () {
   return this.find({ deletedAt: null });
 };
 
+// Recompute the score of open leads matching the query, e.g. after a client's history changes
+leadSchema.statics.rescoreOpenLeads = async function (query = {}) {
+  const leads = await this.find({ ...query, status: { $in: ["new", "contacted"] }, deletedAt: null });
+
+  for (const lead of leads) {
+    try {
+      await applyLeadScore(lead);
+      await lead.save();
+    } catch (error) {
+      console.error("Rescore lead error:", error);
+    }
+  }
+
+  return leads.length;
+};
+
 leadSchema.statics.getPartnerStats = async function (partnerId, dateRange = {}) {
   const { startDate, endDate } = dateRange;
-  const matchQuery = { partnerId, deletedAt: null };
+  const matchQuery = { partnerId, deletedAt: null, "screening.quarantined": { $ne: true } };
 
   if (startDate && endDate) {
     matchQuery.createdAt = {
@@ -184,7 +658,11 @@ leadSchema.statics.getPartnerStats = async function (partnerId, dateRange = {})
             $cond: [
               { $ne: ["$contactedAt", null] },
               {
-                $divide: [{ $subtract: ["$contactedAt", "$createdAt"] }, 1000 * 60 * 60],
+                // Reassigned leads are timed from when this partner received them
+                $divide: [
+                  { $subtract: ["$contactedAt", { $ifNull: ["$sla.startedAt", "$createdAt"] }] },
+                  1000 * 60 * 60,
+                ],
               },
               null,
             ],
@@ -199,9 +677,15 @@ leadSchema.statics.getPartnerStats = async function (partnerId, dateRange = {})
   const convertedLeads = await this.countDocuments({ ...matchQuery, status: "converted" });
   const conversionRate = totalLeads > 0 ? (convertedLeads / totalLeads) * 100 : 0;
 
+  // Leads an admin moved from this partner to someone else
+  const reassignedQuery = { ...matchQuery, "reassignments.fromPartnerId": partnerId };
+  delete reassignedQuery.partnerId;
+  const reassignedAway = await this.countDocuments(reassignedQuery);
+
   return {
     totalLeads,
     conversionRate: Math.round(conversionRate * 100) / 100,
+    reassignedAway,
     statusBreakdown: stats,
   };
 };
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One entry per changed field on a lead, written by the Lead save hooks
+const leadHistorySchema = new mongoose.Schema({
+  leadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Lead",
+    required: true,
+  },
+  field: {
+    type: String,
+    required: true,
+  },
+  oldValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  newValue: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // null when the change was made by the system (e.g. SLA escalation)
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Indexes
+leadHistorySchema.index({ leadId: 1, changedAt: -1 });
+
+module.exports = mongoose.model("LeadHistory", leadHistorySchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    // Files are uploaded client-side (Firebase Storage); only URLs are stored
+    attachments: [
+      {
+        url: {
+          type: String,
+          required: true,
+        },
+        name: String,
+        mimeType: String,
+        size: Number,
+      },
+    ],
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+messageSchema.index({ leadId: 1, createdAt: -1 });
+messageSchema.index({ recipientId: 1, readAt: 1 });
+
+// Static methods
+messageSchema.statics.countUnread = function (leadId, userId) {
+  return this.countDocuments({ leadId, recipientId: userId, readAt: null, deletedAt: null });
+};
+
+// Mark everything the user has received in a thread as read
+messageSchema.statics.markThreadRead = function (leadId, userId, upTo = new Date()) {
+  return this.updateMany(
+    { leadId, recipientId: userId, readAt: null, createdAt: { $lte: upTo } },
+    { $set: { readAt: new Date() } },
+  );
+};
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,110 @@
+const mongoose = require("mongoose");
+const Counter = require("./Counter");
+
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Monotonic ID used as the SSE event id for stream resumption
+    eventId: {
+      type: Number,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high"],
+      default: "medium",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1, deletedAt: 1 });
+notificationSchema.index({ userId: 1, eventId: 1 });
+// Partial so notifications stored before event IDs existed don't collide on null
+notificationSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { eventId: { $exists: true } } });
+
+// Pre-save middleware to assign the next event ID
+notificationSchema.pre("save", async function () {
+  if (this.isNew && !this.eventId) {
+    this.eventId = await Counter.next("notificationEvent");
+  }
+});
+
+// Instance methods
+notificationSchema.methods.markRead = function () {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+notificationSchema.methods.softDelete = function () {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Payload sent to live subscribers
+notificationSchema.methods.toPayload = function () {
+  return {
+    id: this._id,
+    eventId: this.eventId,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    data: this.data,
+    priority: this.priority,
+    createdAt: this.createdAt,
+  };
+};
+
+// Static methods
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ userId, readAt: null, deletedAt: null });
+};
+
+// Stored events after the given event ID, for replay on SSE reconnect
+notificationSchema.statics.findSince = function (userId, lastEventId, options = {}) {
+  const { types, limit = 100 } = options;
+  const query = { userId, eventId: { $gt: lastEventId }, deletedAt: null };
+
+  if (types && types.length > 0) query.type = { $in: types };
+
+  return this.find(query).sort({ eventId: 1 }).limit(limit);
+};
+
+notificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany({ userId, readAt: null, deletedAt: null }, { $set: { readAt: new Date() } });
+};
+
+module.exports = mongoose.model("Notification", notificationSchema);
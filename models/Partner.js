@@ -1,4 +1,22 @@
 const mongoose = require("mongoose");
+const { normalizePinCode } = require("../utils/pinCodes");
+const { buildNgrams } = require("../utils/textSearch");
+
+// GeoJSON point; coordinates are [lng, lat]
+const pointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      required: true,
+    },
+    coordinates: {
+      type: [Number],
+      required: true,
+    },
+  },
+  { _id: false },
+);
 
 const partnerSchema = new mongoose.Schema(
   {
@@ -121,9 +139,52 @@ const partnerSchema = new mongoose.Schema(
           lat: Number,
           lng: Number,
         },
+        // Derived from coordinates on save for the 2dsphere index
+        geo: {
+          type: pointSchema,
+          default: undefined,
+        },
         pinCodesServed: [String],
       },
     ],
+    // Canned replies for leads; see utils/replyTemplates.js for the placeholders
+    replyTemplates: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 100,
+        },
+        body: {
+          type: String,
+          required: true,
+          maxlength: 1000,
+        },
+      },
+    ],
+    // Template added as the first shared note of every new lead when enabled
+    autoReply: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+    },
+    // Denormalised for the text index; kept current by refreshSearchFields
+    searchUsername: {
+      type: String,
+      default: null,
+    },
+    // Trigrams of the searchable names, for typo-tolerant search (see utils/textSearch.js)
+    searchNgrams: {
+      type: String,
+      default: "",
+      select: false,
+    },
     // Onboarding specific fields
     onboardingStatus: {
       type: String,
@@ -237,6 +298,86 @@ partnerSchema.index({ avgRating: -1 });
 partnerSchema.index({ servingLocations: 1 });
 partnerSchema.index({ specializations: 1 });
 partnerSchema.index({ deletedAt: 1 });
+partnerSchema.index({ "partnerLocations.geo": "2dsphere" });
+partnerSchema.index({ "partnerLocations.pinCodesServed": 1 });
+partnerSchema.index(
+  {
+    companyName: "text",
+    searchUsername: "text",
+    specializations: "text",
+    "services.name": "text",
+    "services.description": "text",
+    servingLocations: "text",
+    "partnerLocations.city": "text",
+    searchNgrams: "text",
+  },
+  {
+    name: "partner_text_search",
+    // No stemming or stop words: trigrams and names aren't English words
+    default_language: "none",
+    weights: {
+      companyName: 10,
+      searchUsername: 8,
+      specializations: 6,
+      "services.name": 4,
+      servingLocations: 3,
+      "partnerLocations.city": 3,
+      searchNgrams: 2,
+      "services.description": 1,
+    },
+  },
+);
+
+// Fields that feed searchNgrams
+const SEARCH_SOURCE_FIELDS = ["companyName", "specializations", "services", "servingLocations", "partnerLocations"];
+
+// GeoJSON point for a location's lat/lng, or undefined when either is missing
+const toGeoPoint = (coordinates) => {
+  const { lat, lng } = coordinates || {};
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return undefined;
+  return { type: "Point", coordinates: [lng, lat] };
+};
+
+// Keep partnerLocations[].geo in step with partnerLocations[].coordinates and store
+// PIN codes without spaces or duplicates so exact-match lookups work
+const normalizeLocations = (locations) => {
+  locations.forEach((location) => {
+    location.geo = toGeoPoint(location.coordinates);
+    if (location.pinCodesServed) {
+      location.pinCodesServed = [...new Set(location.pinCodesServed.map(normalizePinCode).filter(Boolean))];
+    }
+  });
+};
+
+partnerSchema.pre("save", async function () {
+  if (this.isModified("partnerLocations")) {
+    normalizeLocations(this.partnerLocations);
+  }
+
+  if (this.isNew || !this.searchUsername) {
+    // Same session so a partner created alongside its user in a transaction finds it
+    const user = await mongoose.model("User").findById(this.userId).select("username").session(this.$session());
+    this.applySearchFields(user?.username);
+  } else if (SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+    this.applySearchFields();
+  }
+});
+
+partnerSchema.pre(["findOneAndUpdate", "updateOne"], function () {
+  const update = this.getUpdate() || {};
+  const locations = update.partnerLocations || update.$set?.partnerLocations;
+
+  if (Array.isArray(locations)) {
+    normalizeLocations(locations);
+  }
+});
+
+// findOneAndUpdate bypasses the save hook, so rebuild the search fields afterwards
+partnerSchema.post("findOneAndUpdate", async function (doc) {
+  if (doc) {
+    await this.model.refreshSearchFields({ _id: doc._id });
+  }
+});
 
 // Virtual for completion rate
 partnerSchema.virtual("completionRate").get(function () {
@@ -245,11 +386,26 @@ partnerSchema.virtual("completionRate").get(function () {
 });
 
 // Instance methods
+// Add a rating in one atomic update so concurrent reviews don't overwrite each other
 partnerSchema.methods.updateRating = async function (newRating) {
-  const totalRating = this.avgRating * this.totalReviews + newRating;
-  this.totalReviews += 1;
-  this.avgRating = totalRating / this.totalReviews;
-  return this.save();
+  await this.constructor.updateOne({ _id: this._id }, [
+    {
+      $set: {
+        totalReviews: { $add: [{ $ifNull: ["$totalReviews", 0] }, 1] },
+        avgRating: {
+          $divide: [
+            { $add: [{ $multiply: [{ $ifNull: ["$avgRating", 0] }, { $ifNull: ["$totalReviews", 0] }] }, newRating] },
+            { $add: [{ $ifNull: ["$totalReviews", 0] }, 1] },
+          ],
+        },
+      },
+    },
+  ]);
+
+  const updated = await this.constructor.findById(this._id).select("avgRating totalReviews");
+  this.avgRating = updated.avgRating;
+  this.totalReviews = updated.totalReviews;
+  return this;
 };
 
 partnerSchema.methods.addService = function (service) {
@@ -262,7 +418,37 @@ partnerSchema.methods.removeService = function (serviceId) {
   return this.save();
 };
 
+// Recompute searchNgrams (and searchUsername when given) from the searchable fields
+partnerSchema.methods.applySearchFields = function (username) {
+  if (username !== undefined) this.searchUsername = username || null;
+
+  this.searchNgrams = buildNgrams([
+    this.companyName,
+    this.searchUsername,
+    this.specializations || [],
+    (this.services || []).map((service) => service.name),
+    this.servingLocations || [],
+    (this.partnerLocations || []).map((location) => location.city),
+  ]);
+  return this;
+};
+
 // Static methods
+// Rebuild the search fields of one partner, e.g. after its user's username changed
+partnerSchema.statics.refreshSearchFields = async function (query) {
+  const partner = await this.findOne(query);
+  if (!partner) return null;
+
+  const user = await mongoose.model("User").findById(partner.userId).select("username");
+  partner.applySearchFields(user?.username);
+
+  await this.updateOne(
+    { _id: partner._id },
+    { $set: { searchUsername: partner.searchUsername, searchNgrams: partner.searchNgrams } },
+  );
+  return partner;
+};
+
 partnerSchema.statics.findVerified = function () {
   return this.find({ verified: true, deletedAt: null });
 };
@@ -0,0 +1,190 @@
+const mongoose = require("mongoose");
+const { roundPrice } = require("../utils/pricing");
+
+const quoteSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Every revision is a separate quote; the highest version is the current one
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    previousQuoteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Quote",
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ["sent", "accepted", "rejected", "revision_requested", "superseded"],
+      default: "sent",
+    },
+    lineItems: [
+      {
+        serviceId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        description: String,
+        priceUnit: {
+          type: String,
+          enum: ["per_hour", "per_day", "per_project"],
+        },
+        basePrice: {
+          type: Number,
+          min: 0,
+        },
+        // basePrice adjusted for the lead's location
+        unitPrice: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        amount: {
+          type: Number,
+          min: 0,
+        },
+      },
+    ],
+    discounts: [
+      {
+        label: {
+          type: String,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["percentage", "fixed"],
+          required: true,
+        },
+        value: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        amount: Number,
+      },
+    ],
+    taxes: [
+      {
+        label: {
+          type: String,
+          required: true,
+        },
+        rate: {
+          type: Number,
+          required: true,
+          min: 0,
+          max: 100,
+        },
+        amount: Number,
+      },
+    ],
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    subtotal: Number,
+    discountTotal: Number,
+    taxTotal: Number,
+    total: Number,
+    validUntil: {
+      type: Date,
+      required: true,
+    },
+    terms: {
+      type: String,
+      trim: true,
+      maxlength: 5000,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    clientResponse: {
+      message: String,
+      respondedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+// Indexes
+quoteSchema.index({ leadId: 1, version: -1 });
+quoteSchema.index({ partnerId: 1, status: 1 });
+
+// Virtual for expiry
+quoteSchema.virtual("isExpired").get(function () {
+  return this.status === "sent" && this.validUntil < new Date();
+});
+
+// Totals are always derived from the line items so they can't drift
+quoteSchema.pre("validate", function (next) {
+  this.lineItems.forEach((item) => {
+    item.amount = roundPrice(item.unitPrice * item.quantity);
+  });
+  this.subtotal = roundPrice(this.lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  let remaining = this.subtotal;
+  this.discounts.forEach((discount) => {
+    const amount = discount.type === "percentage" ? (this.subtotal * discount.value) / 100 : discount.value;
+    discount.amount = roundPrice(Math.min(amount, remaining));
+    remaining -= discount.amount;
+  });
+  this.discountTotal = roundPrice(this.subtotal - remaining);
+
+  const taxable = roundPrice(remaining);
+  this.taxes.forEach((tax) => {
+    tax.amount = roundPrice((taxable * tax.rate) / 100);
+  });
+  this.taxTotal = roundPrice(this.taxes.reduce((sum, tax) => sum + tax.amount, 0));
+
+  this.total = roundPrice(taxable + this.taxTotal);
+  next();
+});
+
+// Instance methods
+quoteSchema.methods.respond = function (status, message) {
+  this.status = status;
+  this.clientResponse = {
+    message,
+    respondedAt: new Date(),
+  };
+  return this.save();
+};
+
+// Static methods
+quoteSchema.statics.findCurrent = function (leadId) {
+  return this.findOne({ leadId }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model("Quote", quoteSchema);
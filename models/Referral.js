@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+// A partner passing a lead they can't take on to another partner; the client decides
+const referralSchema = new mongoose.Schema(
+  {
+    // The lead being referred, owned by the referring partner
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    referringPartnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    referredPartnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+      default: null,
+    },
+    // Lead created for the referred partner once the client accepts
+    referredLeadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      default: null,
+    },
+    // Set once the referring partner has been credited for the referral
+    creditedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+referralSchema.index({ leadId: 1, status: 1 });
+referralSchema.index({ clientId: 1, createdAt: -1 });
+referralSchema.index({ referringPartnerId: 1, createdAt: -1 });
+referralSchema.index({ referredPartnerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Referral", referralSchema);
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    leadId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Lead",
+      required: true,
+      unique: true, // one review per lead
+    },
+    clientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    partnerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 120,
+    },
+    comment: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// Indexes
+reviewSchema.index({ partnerId: 1, createdAt: -1 });
+reviewSchema.index({ clientId: 1 });
+
+// Static methods
+reviewSchema.statics.findActive = function () {
+  return this.find({ deletedAt: null });
+};
+
+reviewSchema.statics.getRatingBreakdown = async function (partnerId) {
+  const breakdown = await this.aggregate([
+    { $match: { partnerId, deletedAt: null } },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  // Always return all five star buckets so the UI can render empty bars
+  return [5, 4, 3, 2, 1].map((stars) => ({
+    rating: stars,
+    count: breakdown.find((bucket) => bucket._id === stars)?.count || 0,
+  }));
+};
+
+module.exports = mongoose.model("Review", reviewSchema);
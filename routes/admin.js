@@ -1,13 +1,31 @@
 const express = require("express");
+const Joi = require("joi");
 const Partner = require("../models/Partner");
 const User = require("../models/User");
 const Lead = require("../models/Lead");
+const Quote = require("../models/Quote");
+const Inquiry = require("../models/Inquiry");
+const Message = require("../models/Message");
 const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
 const { sanitizeInput } = require("../middleware/security");
 const { sendPartnerVerificationEmail, sendPartnerRejectionEmail } = require("../utils/emailService");
+const notificationService = require("../utils/notificationService");
+const { getSlaConfig, responseWindowEndedBefore } = require("../utils/leadSla");
+const { buildLeadQuery } = require("../utils/leadFilters");
+const { streamLeadExport } = require("../utils/leadExport");
+const { addAutoReply } = require("../utils/replyTemplates");
+const { isValidPinCode, normalizePinCode } = require("../utils/pinCodes");
 
 const router = express.Router();
 
+// Validation schemas
+const reassignLeadsSchema = Joi.object({
+  leadIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).unique().required(),
+  toPartnerId: Joi.string().hex().length(24).required(),
+  reason: Joi.string().trim().min(1).max(500).required(),
+  clientConsent: Joi.string().valid("obtained", "not_required").default("not_required"),
+});
+
 // Apply middleware
 router.use(sanitizeInput);
 router.use(verifyFirebaseToken);
@@ -161,6 +179,65 @@ router.get("/leads/stats", async (req, res) => {
       },
     ]);
 
+    // SLA compliance per partner, counting only leads whose response window is over
+    const slaCutoff = new Date(Date.now() - getSlaConfig().escalationHours * 60 * 60 * 1000);
+    const slaStats = await Lead.aggregate([
+      {
+        $match: {
+          deletedAt: null,
+          "screening.quarantined": { $ne: true },
+          $or: [{ status: { $ne: "new" } }, { "sla.breached": true }, responseWindowEndedBefore(slaCutoff)],
+          ...(dateRange.startDate && {
+            createdAt: {
+              $gte: new Date(dateRange.startDate),
+              $lte: new Date(dateRange.endDate),
+            },
+          }),
+        },
+      },
+      {
+        $group: {
+          _id: "$partnerId",
+          totalLeads: { $sum: 1 },
+          breachedLeads: {
+            $sum: { $cond: [{ $eq: ["$sla.breached", true] }, 1, 0] },
+          },
+        },
+      },
+      {
+        $addFields: {
+          complianceRate: {
+            $multiply: [{ $divide: [{ $subtract: ["$totalLeads", "$breachedLeads"] }, "$totalLeads"] }, 100],
+          },
+        },
+      },
+      { $sort: { complianceRate: 1, breachedLeads: -1 } },
+      {
+        $lookup: {
+          from: "partners",
+          localField: "_id",
+          foreignField: "userId",
+          as: "partnerProfile",
+        },
+      },
+      {
+        $project: {
+          totalLeads: 1,
+          breachedLeads: 1,
+          complianceRate: 1,
+          companyName: { $arrayElemAt: ["$partnerProfile.companyName", 0] },
+        },
+      },
+    ]);
+
+    const slaTotals = slaStats.reduce(
+      (totals, entry) => ({
+        totalLeads: totals.totalLeads + entry.totalLeads,
+        breachedLeads: totals.breachedLeads + entry.breachedLeads,
+      }),
+      { totalLeads: 0, breachedLeads: 0 },
+    );
+
     res.json({
       success: true,
       data: {
@@ -176,6 +253,14 @@ router.get("/leads/stats", async (req, res) => {
           avgResponseTime: 0,
           medianResponseTime: 0,
         },
+        slaCompliance: {
+          ...slaTotals,
+          complianceRate:
+            slaTotals.totalLeads > 0
+              ? Math.round(((slaTotals.totalLeads - slaTotals.breachedLeads) / slaTotals.totalLeads) * 10000) / 100
+              : 100,
+          byPartner: slaStats,
+        },
         dateRange,
       },
     });
@@ -191,44 +276,18 @@ router.get("/leads/stats", async (req, res) => {
 // Get all leads for admin with advanced filtering
 router.get("/leads", async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      source,
-      priority,
-      partnerId,
-      clientId,
-      startDate,
-      endDate,
-      sortBy = "createdAt",
-      sortOrder = "desc",
-      search,
-    } = req.query;
-
-    const query = { deletedAt: null };
+    const { page = 1, limit = 10, sortBy = "createdAt", sortOrder = "desc" } = req.query;
 
-    // Add filters
-    if (status) query.status = status;
-    if (source) query.source = source;
-    if (priority) query.priority = priority;
-    if (partnerId) query.partnerId = partnerId;
-    if (clientId) query.clientId = clientId;
-
-    // Date range filter
-    if (startDate && endDate) {
-      query.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate),
-      };
-    }
+    // Status, source, priority, date range and search filters
+    const query = await buildLeadQuery(req.query, getAdminLeadScope(req.query));
 
     // Build sort object
     const sort = {};
     sort[sortBy] = sortOrder === "desc" ? -1 : 1;
 
-    // Build aggregation pipeline for search
-    const pipeline = [
+    // Build aggregation pipeline
+    const basePipeline = [
+      { $match: query },
       {
         $lookup: {
           from: "users",
@@ -253,30 +312,8 @@ router.get("/leads", async (req, res) => {
       },
     ];
 
-    // Add search filter
-    if (search) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { "client.username": { $regex: search, $options: "i" } },
-            { "client.email": { $regex: search, $options: "i" } },
-            { "partner.username": { $regex: search, $options: "i" } },
-            { "partner.email": { $regex: search, $options: "i" } },
-            { message: { $regex: search, $options: "i" } },
-            { serviceType: { $regex: search, $options: "i" } },
-            { location: { $regex: search, $options: "i" } },
-          ],
-        },
-      });
-    }
-
-    // Add other filters
-    if (Object.keys(query).length > 0) {
-      pipeline.push({ $match: query });
-    }
-
     // Add sorting
-    pipeline.push({ $sort: sort });
+    const pipeline = [...basePipeline, { $sort: sort }];
 
     // Add pagination
     pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit * 1 });
@@ -301,8 +338,7 @@ router.get("/leads", async (req, res) => {
     const leads = await Lead.aggregate(pipeline);
 
     // Get total count for pagination
-    const totalPipeline = [...pipeline.slice(0, -2), { $count: "total" }];
-    const totalResult = await Lead.aggregate(totalPipeline);
+    const totalResult = await Lead.aggregate([...basePipeline, { $count: "total" }]);
     const total = totalResult[0]?.total || 0;
 
     res.json({
@@ -326,6 +362,235 @@ router.get("/leads", async (req, res) => {
   }
 });
 
+// Export leads as CSV or XLSX with the same filters as the admin lead list
+router.get("/leads/export", async (req, res) => {
+  try {
+    const { format = "csv", sortBy = "createdAt", sortOrder = "desc" } = req.query;
+
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or xlsx",
+      });
+    }
+
+    const query = await buildLeadQuery(req.query, getAdminLeadScope(req.query));
+
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const cursor = Lead.find(query)
+      .populate("clientId", "username email")
+      .populate("partnerId", "username email")
+      .sort(sort)
+      .cursor();
+
+    await streamLeadExport(res, cursor, {
+      format,
+      filename: `admin-leads-${new Date().toISOString().slice(0, 10)}`,
+      viewerRole: "admin",
+    });
+  } catch (error) {
+    console.error("Export admin leads error:", error);
+
+    // Headers are gone once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export leads",
+    });
+  }
+});
+
+// Get leads held in spam quarantine
+router.get("/leads/quarantine", async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { deletedAt: null, "screening.quarantined": true, "screening.decision": { $exists: false } };
+
+    const [leads, total] = await Promise.all([
+      Lead.find(query)
+        .populate("clientId", "username email profilePic")
+        .populate("partnerId", "username email profilePic")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Lead.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        leads,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get quarantined leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quarantined leads",
+    });
+  }
+});
+
+// Review a quarantined lead: release it to the partner or reject it as spam
+router.patch("/leads/:leadId/quarantine", async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+
+    if (!["release", "reject"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be release or reject",
+      });
+    }
+
+    const lead = await Lead.findOne({ _id: req.params.leadId, deletedAt: null });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    if (!lead.screening?.quarantined || lead.screening.decision) {
+      return res.status(400).json({
+        success: false,
+        message: "Lead is not awaiting quarantine review",
+      });
+    }
+
+    lead.screening.reviewedAt = new Date();
+    lead.screening.reviewedBy = req.user.id;
+
+    if (decision === "release") {
+      lead.screening.quarantined = false;
+      lead.screening.decision = "released";
+      // The partner only sees the lead now, so their response clock starts now too
+      lead.sla.startedAt = new Date();
+
+      const partner = await Partner.findOne({ userId: lead.partnerId });
+      if (partner) {
+        await addAutoReply(lead, partner);
+      }
+
+      await lead.save();
+      await notificationService.newLead(lead);
+    } else {
+      // Rejected leads stay hidden from the partner and are closed as spam
+      lead.screening.decision = "rejected";
+      await lead.updateStatus("closed", req.user.id, { role: "admin", reason: "spam", note: notes });
+    }
+
+    res.json({
+      success: true,
+      message: decision === "release" ? "Lead released to partner" : "Lead rejected as spam",
+      data: { lead },
+    });
+  } catch (error) {
+    console.error("Review quarantined lead error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to review lead",
+    });
+  }
+});
+
+// Reassign open leads to another verified partner (toPartnerId is the partner's user ID)
+router.post("/leads/reassign", async (req, res) => {
+  try {
+    const { error, value } = reassignLeadsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const { leadIds, toPartnerId, reason, clientConsent } = value;
+
+    const partner = await Partner.findOne({ userId: toPartnerId, verified: true, deletedAt: null });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found or not verified",
+      });
+    }
+
+    const leads = await Lead.find({ _id: { $in: leadIds }, deletedAt: null });
+    const leadsById = new Map(leads.map((lead) => [lead._id.toString(), lead]));
+
+    const results = [];
+
+    for (const leadId of leadIds) {
+      const lead = leadsById.get(leadId);
+
+      try {
+        const skipReason = await getReassignSkipReason(lead, toPartnerId);
+
+        if (skipReason) {
+          results.push({ leadId, status: "skipped", success: false, reason: skipReason });
+          continue;
+        }
+
+        const fromPartnerId = lead.partnerId;
+        await lead.reassign(toPartnerId, req.user.id, { reason, clientConsent });
+
+        // Open quotes from the previous partner can no longer be accepted
+        await Quote.updateMany(
+          { leadId: lead._id, partnerId: fromPartnerId, status: { $in: ["sent", "revision_requested"] } },
+          { status: "superseded" },
+        );
+
+        // The client's messages to the previous partner belong to the new one now
+        await Message.updateMany({ leadId: lead._id, recipientId: fromPartnerId }, { recipientId: lead.partnerId });
+
+        if (lead.inquiryId) {
+          await Inquiry.updateOne(
+            { _id: lead.inquiryId, partnerIds: fromPartnerId },
+            { $set: { "partnerIds.$": lead.partnerId } },
+          );
+        }
+
+        await notificationService.leadReassigned(lead, fromPartnerId, { reason });
+
+        results.push({ leadId, status: "reassigned", success: true, fromPartnerId });
+      } catch (error) {
+        results.push({
+          leadId,
+          status: "error",
+          success: false,
+          error: error.message,
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Reassigned ${results.filter((result) => result.success).length} of ${leadIds.length} leads`,
+      data: { results },
+    });
+  } catch (error) {
+    console.error("Reassign leads error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reassign leads",
+    });
+  }
+});
+
 // Get all partners pending verification
 router.get("/partners/pending", async (req, res) => {
   try {
@@ -363,6 +628,99 @@ router.get("/partners/pending", async (req, res) => {
   }
 });
 
+// PIN code coverage: how many verified partners serve each PIN code any partner lists.
+// ?pinCodes=400001,400002 adds PIN codes to check even if no partner lists them;
+// ?uncoveredOnly=true returns only PIN codes without a verified partner.
+router.get("/partners/pin-coverage", async (req, res) => {
+  try {
+    const { uncoveredOnly } = req.query;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 50, 1), 200);
+
+    const requestedPinCodes = String(req.query.pinCodes || "")
+      .split(",")
+      .map(normalizePinCode)
+      .filter(Boolean);
+    const invalidPinCodes = requestedPinCodes.filter((pinCode) => !isValidPinCode(pinCode));
+
+    if (invalidPinCodes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "PIN codes must be 6 digits and not start with 0",
+        details: { invalidPinCodes },
+      });
+    }
+
+    const counts = await Partner.aggregate([
+      { $match: { deletedAt: null } },
+      { $unwind: "$partnerLocations" },
+      { $unwind: "$partnerLocations.pinCodesServed" },
+      // A partner listing the same PIN code at two locations counts once. Only partners
+      // public search lists (verified and fully onboarded) count as covering it.
+      {
+        $group: {
+          _id: { pinCode: "$partnerLocations.pinCodesServed", partnerId: "$_id" },
+          verified: {
+            $first: { $and: [{ $eq: ["$verified", true] }, { $eq: ["$onboardingStatus", "verified"] }] },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$_id.pinCode",
+          totalPartners: { $sum: 1 },
+          verifiedPartners: { $sum: { $cond: ["$verified", 1, 0] } },
+        },
+      },
+    ]);
+
+    const coverageByPin = new Map(
+      counts.map((entry) => [
+        entry._id,
+        { pinCode: entry._id, verifiedPartners: entry.verifiedPartners, totalPartners: entry.totalPartners },
+      ]),
+    );
+    requestedPinCodes.forEach((pinCode) => {
+      if (!coverageByPin.has(pinCode)) {
+        coverageByPin.set(pinCode, { pinCode, verifiedPartners: 0, totalPartners: 0 });
+      }
+    });
+
+    const allCoverage = [...coverageByPin.values()];
+    const uncovered = allCoverage.filter((entry) => entry.verifiedPartners === 0);
+
+    // Gaps first, then by PIN code
+    const coverage = (uncoveredOnly === "true" ? uncovered : allCoverage).sort(
+      (a, b) => a.verifiedPartners - b.verifiedPartners || a.pinCode.localeCompare(b.pinCode),
+    );
+    const start = (page - 1) * limit;
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          totalPinCodes: allCoverage.length,
+          coveredPinCodes: allCoverage.length - uncovered.length,
+          uncoveredPinCodes: uncovered.length,
+        },
+        coverage: coverage.slice(start, start + limit),
+        pagination: {
+          page,
+          limit,
+          total: coverage.length,
+          pages: Math.ceil(coverage.length / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get PIN code coverage error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch PIN code coverage",
+    });
+  }
+});
+
 // Get all partners (with filters)
 router.get("/partners", async (req, res) => {
   try {
@@ -524,6 +882,8 @@ router.patch("/partners/:partnerId/verify", async (req, res) => {
       notes: notes,
     });
 
+    await notificationService.partnerVerificationStatusUpdated(partner._id, "verified", { notes });
+
     res.json({
       success: true,
       message: "Partner verified successfully",
@@ -584,6 +944,8 @@ router.patch("/partners/:partnerId/reject", async (req, res) => {
       rejectionDate: partner.rejectionDate,
     });
 
+    await notificationService.partnerVerificationStatusUpdated(partner._id, "rejected", { reason, notes });
+
     res.json({
       success: true,
       message: "Partner rejected successfully",
@@ -628,6 +990,8 @@ router.patch("/partners/:partnerId/documents/:documentId/approve", async (req, r
 
     await partner.save();
 
+    await notificationService.documentStatusUpdated(partner._id, document._id, "approved", { notes });
+
     // Check if all documents are now approved
     const allApproved = partner.documents.every((doc) => doc.status === "approved");
 
@@ -686,6 +1050,8 @@ router.patch("/partners/:partnerId/documents/:documentId/reject", async (req, re
 
     await partner.save();
 
+    await notificationService.documentStatusUpdated(partner._id, document._id, "rejected", { reason, notes });
+
     res.json({
       success: true,
       message: "Document rejected successfully",
@@ -827,6 +1193,8 @@ router.patch("/partners/bulk-action", async (req, res) => {
               notes: notes,
             });
 
+            await notificationService.partnerVerificationStatusUpdated(partner._id, "verified", { notes });
+
             results.push({ partnerId: partner._id, status: "verified", success: true });
           } else {
             results.push({
@@ -854,6 +1222,8 @@ router.patch("/partners/bulk-action", async (req, res) => {
             rejectionDate: partner.rejectionDate,
           });
 
+          await notificationService.partnerVerificationStatusUpdated(partner._id, "rejected", { reason, notes });
+
           results.push({ partnerId: partner._id, status: "rejected", success: true });
         }
       } catch (error) {
@@ -880,4 +1250,28 @@ router.patch("/partners/bulk-action", async (req, res) => {
   }
 });
 
+// Helper function to narrow admin lead queries to one partner and/or client
+function getAdminLeadScope({ partnerId, clientId }) {
+  const scope = {};
+  if (partnerId) scope.partnerId = partnerId;
+  if (clientId) scope.clientId = clientId;
+  return scope;
+}
+
+// Helper function explaining why a lead cannot be moved to the partner, or null if it can
+async function getReassignSkipReason(lead, toPartnerId) {
+  if (!lead) return "Lead not found";
+  if (lead.partnerId.toString() === toPartnerId) return "Lead is already assigned to this partner";
+  if (!["new", "contacted"].includes(lead.status)) return "Only new or contacted leads can be reassigned";
+  if (lead.screening?.quarantined) return "Lead is in spam quarantine";
+
+  // A partner should not hold two leads for the same multi-partner inquiry
+  if (lead.inquiryId) {
+    const existing = await Lead.exists({ inquiryId: lead.inquiryId, partnerId: toPartnerId, deletedAt: null });
+    if (existing) return "Partner already has a lead for this inquiry";
+  }
+
+  return null;
+}
+
 module.exports = router;
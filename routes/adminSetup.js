@@ -4,6 +4,7 @@ const User = require("../models/User");
 const Admin = require("../models/Admin");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
 const { sanitizeInput } = require("../middleware/security");
+const notificationService = require("../utils/notificationService");
 
 const router = express.Router();
 
@@ -196,6 +197,7 @@ router.post("/create-super-admin", verifyFirebaseToken, async (req, res) => {
 // Create additional admin users (super admin only)
 router.post("/create-admin", verifyFirebaseToken, async (req, res) => {
   const session = await User.startSession();
+  let systemEvent = null;
 
   try {
     await session.withTransaction(async () => {
@@ -297,7 +299,16 @@ router.post("/create-admin", verifyFirebaseToken, async (req, res) => {
           firebaseClaims: customClaims,
         },
       });
+
+      systemEvent = {
+        type: "admin_created",
+        title: "Admin Created",
+        message: `${targetUser.username} was added as ${role}`,
+        data: { adminId: adminRecord._id, userId: targetUser._id, role, createdBy: req.user.id },
+      };
     });
+
+    if (systemEvent) await notificationService.notifySystemEvent(systemEvent);
   } catch (error) {
     console.error("Create admin error:", error);
 
@@ -416,9 +427,52 @@ router.patch("/admins/:adminId/permissions", verifyFirebaseToken, async (req, re
   }
 });
 
+// Subscribe to or unsubscribe from system-level events (super admin only)
+router.patch("/admins/me/notification-preferences", verifyFirebaseToken, async (req, res) => {
+  try {
+    const requesterAdmin = await Admin.findOne({
+      userId: req.user.id,
+      role: "super_admin",
+      isActive: true,
+    });
+
+    if (!requesterAdmin) {
+      return res.status(403).json({
+        success: false,
+        message: "Super admin access required",
+      });
+    }
+
+    const { systemEvents } = req.body;
+
+    if (typeof systemEvents !== "boolean") {
+      return res.status(400).json({
+        success: false,
+        message: "systemEvents must be a boolean",
+      });
+    }
+
+    requesterAdmin.notificationPreferences.systemEvents = systemEvents;
+    await requesterAdmin.save();
+
+    res.json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: { notificationPreferences: requesterAdmin.notificationPreferences },
+    });
+  } catch (error) {
+    console.error("Update notification preferences error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update notification preferences",
+    });
+  }
+});
+
 // Deactivate admin (super admin only)
 router.patch("/admins/:adminId/deactivate", verifyFirebaseToken, async (req, res) => {
   const session = await User.startSession();
+  let systemEvent = null;
 
   try {
     await session.withTransaction(async () => {
@@ -469,7 +523,16 @@ router.patch("/admins/:adminId/deactivate", verifyFirebaseToken, async (req, res
         success: true,
         message: "Admin deactivated successfully",
       });
+
+      systemEvent = {
+        type: "admin_deactivated",
+        title: "Admin Deactivated",
+        message: `${user.username} was deactivated as ${adminToDeactivate.role}`,
+        data: { adminId: adminToDeactivate._id, userId: user._id, deactivatedBy: req.user.id },
+      };
     });
+
+    if (systemEvent) await notificationService.notifySystemEvent(systemEvent);
   } catch (error) {
     console.error("Deactivate admin error:", error);
     res.status(400).json({
@@ -0,0 +1,331 @@
+const express = require("express");
+const Booking = require("../models/Booking");
+const Lead = require("../models/Lead");
+const Partner = require("../models/Partner");
+const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const { getEffectivePrice } = require("../utils/pricing");
+const Joi = require("joi");
+const mongoose = require("mongoose");
+
+const router = express.Router();
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+
+router.param("bookingId", (req, res, next, bookingId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid booking ID",
+    });
+  }
+  next();
+});
+
+// Validation schemas
+const createBookingSchema = Joi.object({
+  leadId: Joi.string().hex().length(24).required(),
+  services: Joi.array()
+    .items(
+      Joi.object({
+        serviceId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).default(1),
+      }),
+    )
+    .min(1)
+    .required(),
+  eventDates: Joi.array().items(Joi.date()).min(1).required(),
+  agreedPrice: Joi.object({
+    amount: Joi.number().min(0).required(),
+    currency: Joi.string().default("INR"),
+  }).required(),
+  notes: Joi.string().max(2000).optional(),
+});
+
+const updateBookingStatusSchema = Joi.object({
+  status: Joi.string().valid("in_progress", "completed", "cancelled").required(),
+  reason: Joi.string().max(500).when("status", {
+    is: "cancelled",
+    then: Joi.required(),
+    otherwise: Joi.optional(),
+  }),
+});
+
+// Create a booking from a converted lead (partners only)
+router.post("/", authorize("partner"), async (req, res) => {
+  try {
+    const { error, value } = createBookingSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const lead = await Lead.findById(value.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    if (lead.partnerId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (lead.status !== "converted") {
+      return res.status(400).json({
+        success: false,
+        message: "Only converted leads can be booked",
+      });
+    }
+
+    const existingBooking = await Booking.findOne({ leadId: lead._id });
+    if (existingBooking) {
+      return res.status(409).json({
+        success: false,
+        message: "A booking already exists for this lead",
+        data: { bookingId: existingBooking._id },
+      });
+    }
+
+    const partner = await Partner.findOne({ userId: req.user.id, deletedAt: null });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      });
+    }
+
+    // Resolve the agreed services against the partner's catalogue
+    const services = [];
+    for (const item of value.services) {
+      const service = partner.services.find((entry) => entry.serviceId.toString() === item.serviceId);
+
+      if (!service) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          details: `Service ${item.serviceId} is not offered by this partner`,
+        });
+      }
+
+      services.push({
+        serviceId: service.serviceId,
+        name: service.name,
+        priceUnit: service.priceUnit,
+        // Priced for the lead's location, as quotes and public listings show it
+        unitPrice: getEffectivePrice(service, partner, lead.location),
+        quantity: item.quantity,
+      });
+    }
+
+    const booking = new Booking({
+      leadId: lead._id,
+      clientId: lead.clientId,
+      partnerId: lead.partnerId,
+      services,
+      eventDates: value.eventDates,
+      agreedPrice: value.agreedPrice,
+      notes: value.notes,
+      statusHistory: [{ status: "confirmed", changedBy: req.user.id, changedAt: new Date() }],
+    });
+    await booking.save();
+
+    await booking.populate([
+      { path: "clientId", select: "username email profilePic" },
+      { path: "partnerId", select: "username email profilePic" },
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: "Booking created successfully",
+      data: { booking },
+    });
+  } catch (error) {
+    // Lost the race against a concurrent booking for the same lead
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "A booking already exists for this lead",
+      });
+    }
+
+    console.error("Create booking error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create booking",
+    });
+  }
+});
+
+// Get bookings for current user
+router.get("/", authorize("client", "partner", "admin"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+
+    const query = { deletedAt: null, ...getBookingScope(req.user) };
+
+    if (status) {
+      query.status = status;
+    }
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const bookings = await Booking.find(query)
+      .populate("clientId", "username email profilePic")
+      .populate("partnerId", "username email profilePic")
+      .sort(sort)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Booking.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        bookings,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get bookings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch bookings",
+    });
+  }
+});
+
+// Get single booking details
+router.get("/:bookingId", async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId)
+      .populate("clientId", "username email profilePic phone")
+      .populate("partnerId", "username email profilePic phone")
+      .populate("statusHistory.changedBy", "username");
+
+    if (!booking || booking.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    const role = getBookingRole(booking, req.user);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        booking,
+        allowedTransitions: Booking.getAllowedTransitions(booking.status, role),
+      },
+    });
+  } catch (error) {
+    console.error("Get booking details error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch booking details",
+    });
+  }
+});
+
+// Move a booking through its lifecycle
+router.patch("/:bookingId/status", async (req, res) => {
+  try {
+    const { error, value } = updateBookingStatusSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking || booking.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Booking not found",
+      });
+    }
+
+    const role = getBookingRole(booking, req.user);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (!booking.canTransition(value.status, role)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move booking from ${booking.status} to ${value.status}`,
+        details: {
+          currentStatus: booking.status,
+          allowedTransitions: Booking.getAllowedTransitions(booking.status, role),
+        },
+      });
+    }
+
+    await booking.updateStatus(value.status, req.user.id, value.reason);
+
+    res.json({
+      success: true,
+      message: "Booking updated successfully",
+      data: { booking },
+    });
+  } catch (error) {
+    console.error("Update booking status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update booking",
+    });
+  }
+});
+
+// Helper function to resolve the requester's role on a booking
+function getBookingRole(booking, user) {
+  const bookingClientId = booking.clientId._id || booking.clientId;
+  const bookingPartnerId = booking.partnerId._id || booking.partnerId;
+
+  if (user.userType === "admin") return "admin";
+  if (bookingPartnerId.toString() === user.id.toString()) return "partner";
+  if (bookingClientId.toString() === user.id.toString()) return "client";
+  return null;
+}
+
+// Helper function to limit bookings to the user's own; admins see everything
+function getBookingScope(user) {
+  if (user.userType === "client") return { clientId: user.id };
+  if (user.userType === "partner") return { partnerId: user.id };
+  return {};
+}
+
+module.exports = router;
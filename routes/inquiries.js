@@ -0,0 +1,272 @@
+const express = require("express");
+const Inquiry = require("../models/Inquiry");
+const Lead = require("../models/Lead");
+const Partner = require("../models/Partner");
+const Quote = require("../models/Quote");
+const Message = require("../models/Message");
+const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const { createLead, findMatchingPartners } = require("../utils/leadService");
+const Joi = require("joi");
+const mongoose = require("mongoose");
+
+const router = express.Router();
+
+// Maximum number of partners a single inquiry can be sent to
+const MAX_INQUIRY_PARTNERS = Number.parseInt(process.env.INQUIRY_MAX_PARTNERS) || 5;
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+
+// Validation schemas
+const createInquirySchema = Joi.object({
+  message: Joi.string().min(10).max(1000).required(),
+  serviceType: Joi.string().when("autoMatch", { is: true, then: Joi.required() }),
+  eventDate: Joi.date().optional(),
+  budget: Joi.object({
+    min: Joi.number().min(0).optional(),
+    max: Joi.number().min(0).optional(),
+    currency: Joi.string().default("INR").optional(),
+  }).optional(),
+  location: Joi.string().when("autoMatch", { is: true, then: Joi.required() }),
+  contactMethod: Joi.string()
+    .valid("email", "phone", "whatsapp", "website_form", "direct_message")
+    .default("website_form"),
+  source: Joi.string().valid("website", "social_media", "referral", "advertisement", "direct").default("website"),
+  // Either pick partners (by user ID) or let the system match them
+  autoMatch: Joi.boolean().default(false),
+  partnerIds: Joi.array()
+    .items(Joi.string().hex().length(24))
+    .unique()
+    .min(1)
+    .max(MAX_INQUIRY_PARTNERS)
+    .when("autoMatch", { is: true, then: Joi.forbidden(), otherwise: Joi.required() }),
+  maxPartners: Joi.number().integer().min(1).max(MAX_INQUIRY_PARTNERS).default(MAX_INQUIRY_PARTNERS),
+});
+
+// Request quotes from several partners at once (clients only)
+router.post("/", authorize("client"), async (req, res) => {
+  try {
+    const { error, value } = createInquirySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const { autoMatch, partnerIds, maxPartners, ...details } = value;
+
+    let targetPartnerIds = partnerIds;
+    if (autoMatch) {
+      const partners = await findMatchingPartners(details, maxPartners);
+
+      if (partners.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: "No matching partners found for this request",
+        });
+      }
+
+      targetPartnerIds = partners.map((partner) => partner.userId);
+    }
+
+    const inquiry = new Inquiry({
+      ...details,
+      clientId: req.user.id,
+      selectionMode: autoMatch ? "auto" : "manual",
+    });
+
+    // Saved first so every lead's inquiryId points at a stored inquiry
+    await inquiry.save();
+
+    // One lead per partner; partners who cannot take the request are reported, not fatal
+    const created = [];
+    const skipped = [];
+    try {
+      for (const partnerId of targetPartnerIds) {
+        try {
+          const result = await createLead(req.user.id, { ...details, partnerId, inquiryId: inquiry._id });
+          created.push(result);
+        } catch (leadError) {
+          if (!leadError.statusCode) throw leadError;
+          skipped.push({ partnerId, reason: leadError.message, details: leadError.details });
+        }
+      }
+
+      if (created.length > 0) {
+        inquiry.partnerIds = created.map(({ lead }) => lead.partnerId);
+        inquiry.leadIds = created.map(({ lead }) => lead._id);
+        await inquiry.save();
+      }
+    } catch (fanOutError) {
+      await discardInquiry(inquiry, created);
+      throw fanOutError;
+    }
+
+    if (created.length === 0) {
+      await discardInquiry(inquiry, created);
+      return res.status(409).json({
+        success: false,
+        message: "None of the selected partners can take this request",
+        details: { skipped },
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Quote request sent to ${created.length} partner${created.length === 1 ? "" : "s"}`,
+      data: {
+        inquiry,
+        leads: created.map(({ lead }) => lead.toViewerJSON(req.user.userType)),
+        warnings: created.flatMap(({ lead, warnings }) =>
+          warnings.map((warning) => ({ partnerId: lead.partnerId, warning })),
+        ),
+        skipped,
+      },
+    });
+  } catch (error) {
+    console.error("Create inquiry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send quote request",
+    });
+  }
+});
+
+// Get the client's inquiries with a status breakdown of their leads
+router.get("/", async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { clientId: req.user.id, deletedAt: null };
+
+    const [inquiries, total] = await Promise.all([
+      Inquiry.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Inquiry.countDocuments(query),
+    ]);
+
+    const statusCounts = await Lead.aggregate([
+      { $match: { inquiryId: { $in: inquiries.map((inquiry) => inquiry._id) }, deletedAt: null } },
+      { $group: { _id: { inquiryId: "$inquiryId", status: "$status" }, count: { $sum: 1 } } },
+    ]);
+
+    const inquiriesWithStatus = inquiries.map((inquiry) => {
+      const leadStatus = {};
+      statusCounts
+        .filter((entry) => entry._id.inquiryId.toString() === inquiry._id.toString())
+        .forEach((entry) => {
+          leadStatus[entry._id.status] = entry.count;
+        });
+
+      return { ...inquiry.toObject(), leadStatus };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        inquiries: inquiriesWithStatus,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get inquiries error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch inquiries",
+    });
+  }
+});
+
+// Consolidated view of every partner's response to an inquiry
+router.get("/:inquiryId", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.inquiryId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found",
+      });
+    }
+
+    const inquiry = await Inquiry.findOne({ _id: req.params.inquiryId, deletedAt: null });
+
+    if (!inquiry) {
+      return res.status(404).json({
+        success: false,
+        message: "Inquiry not found",
+      });
+    }
+
+    if (req.user.userType !== "admin" && inquiry.clientId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const leads = await Lead.find({ inquiryId: inquiry._id, deletedAt: null })
+      .populate("partnerId", "username email profilePic")
+      .populate("notes.addedBy", "username");
+
+    const leadIds = leads.map((lead) => lead._id);
+
+    const [partners, quotes, unreadCounts] = await Promise.all([
+      Partner.find({ userId: { $in: leads.map((lead) => lead.partnerId._id) } }).select(
+        "userId companyName banner avgRating totalReviews",
+      ),
+      Quote.find({ leadId: { $in: leadIds } }).sort({ version: -1 }),
+      Promise.all(leads.map((lead) => Message.countUnread(lead._id, inquiry.clientId))),
+    ]);
+
+    const responses = leads.map((lead, index) => ({
+      lead: lead.toViewerJSON(req.user.userType),
+      partner: partners.find((partner) => partner.userId.toString() === lead.partnerId._id.toString()) || null,
+      // Quotes are sorted newest version first
+      currentQuote: quotes.find((quote) => quote.leadId.toString() === lead._id.toString()) || null,
+      unreadMessages: unreadCounts[index],
+    }));
+
+    const openQuotes = responses
+      .map((response) => response.currentQuote)
+      .filter((quote) => quote && ["sent", "accepted"].includes(quote.status));
+
+    res.json({
+      success: true,
+      data: {
+        inquiry,
+        responses,
+        summary: {
+          totalPartners: leads.length,
+          responded: leads.filter((lead) => lead.status !== "new").length,
+          quotesReceived: openQuotes.length,
+          lowestQuote: openQuotes.length > 0 ? Math.min(...openQuotes.map((quote) => quote.total)) : null,
+          converted: leads.filter((lead) => lead.status === "converted").length,
+          closed: leads.filter((lead) => lead.status === "closed").length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get inquiry error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch inquiry",
+    });
+  }
+});
+
+// Helper function to remove an inquiry that failed to fan out, with the leads created for it
+async function discardInquiry(inquiry, created) {
+  await Lead.deleteMany({ _id: { $in: created.map(({ lead }) => lead._id) } });
+  await Inquiry.deleteOne({ _id: inquiry._id });
+}
+
+module.exports = router;
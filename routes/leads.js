@@ -1,9 +1,19 @@
 const express = require("express");
 const Lead = require("../models/Lead");
+const LeadHistory = require("../models/LeadHistory");
+const User = require("../models/User");
 const Partner = require("../models/Partner");
+const Message = require("../models/Message");
 const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
 const { sanitizeInput } = require("../middleware/security");
 const Joi = require("joi");
+const mongoose = require("mongoose");
+const notificationService = require("../utils/notificationService");
+const { createLead } = require("../utils/leadService");
+const { applyLeadScore } = require("../utils/leadScoring");
+const { renderReplyTemplate } = require("../utils/replyTemplates");
+const { buildLeadQuery } = require("../utils/leadFilters");
+const { streamLeadExport } = require("../utils/leadExport");
 
 const router = express.Router();
 
@@ -30,7 +40,14 @@ const createLeadSchema = Joi.object({
 });
 
 const updateLeadSchema = Joi.object({
-  status: Joi.string().valid("new", "contacted", "converted", "closed").optional(),
+  // Any status; moves the lead cannot make are rejected by its transition rules (409)
+  status: Joi.string()
+    .valid(...Lead.schema.path("status").enumValues)
+    .optional(),
+  closeReason: Joi.string()
+    .valid(...Lead.schema.path("closeReason").enumValues)
+    .when("status", { is: "closed", then: Joi.required(), otherwise: Joi.forbidden() }),
+  closeNote: Joi.string().max(500).when("closeReason", { is: "other", then: Joi.required() }),
   message: Joi.string().min(10).max(1000).optional(),
   serviceType: Joi.string().optional(),
   eventDate: Joi.date().optional(),
@@ -40,7 +57,22 @@ const updateLeadSchema = Joi.object({
     currency: Joi.string().optional(),
   }).optional(),
   location: Joi.string().optional(),
-  priority: Joi.string().valid("low", "medium", "high", "urgent").optional(),
+  // "auto" hands the priority back to automatic scoring
+  priority: Joi.string().valid("low", "medium", "high", "urgent", "auto").optional(),
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(1000).required(),
+  visibility: Joi.string().valid("shared", "partner", "admin").default("shared"),
+  mentions: Joi.array().items(Joi.string()).max(10).default([]),
+});
+
+const templateReplySchema = Joi.object({
+  templateId: Joi.string().hex().length(24).required(),
+});
+
+const editNoteSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(1000).required(),
 });
 
 // Create a new lead (clients only)
@@ -55,29 +87,7 @@ router.post("/", authorize("client"), async (req, res) => {
       });
     }
 
-    // Verify partner exists and is verified
-    const partner = await Partner.findOne({
-      userId: value.partnerId,
-      verified: true,
-      deletedAt: null,
-    });
-
-    if (!partner) {
-      return res.status(404).json({
-        success: false,
-        message: "Partner not found or not verified",
-      });
-    }
-
-    // Create lead
-    const leadData = {
-      ...value,
-      clientId: req.user.id,
-      partnerId: value.partnerId,
-    };
-
-    const lead = new Lead(leadData);
-    await lead.save();
+    const { lead, warnings } = await createLead(req.user.id, value);
 
     // Populate the lead with user details
     await lead.populate([
@@ -88,9 +98,20 @@ router.post("/", authorize("client"), async (req, res) => {
     res.status(201).json({
       success: true,
       message: "Lead created successfully",
-      data: { lead },
+      data: {
+        lead: lead.toViewerJSON(req.user.userType),
+        warnings,
+      },
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
     console.error("Create lead error:", error);
     res.status(500).json({
       success: false,
@@ -102,30 +123,24 @@ router.post("/", authorize("client"), async (req, res) => {
 // Get leads for current user (different views for clients and partners)
 router.get("/", async (req, res) => {
   try {
-    const { page = 1, limit = 10, status, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+    const { page = 1, limit = 10, sortBy = "createdAt", sortOrder = "desc" } = req.query;
 
-    const query = { deletedAt: null };
+    const scope = getLeadScope(req.user);
 
-    // Filter based on user type
-    if (req.user.userType === "client") {
-      query.clientId = req.user.id;
-    } else if (req.user.userType === "partner") {
-      query.partnerId = req.user.id;
-    } else {
+    if (!scope) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // Add status filter if provided
-    if (status) {
-      query.status = status;
-    }
+    // Status, source, priority, date range and search filters
+    const query = await buildLeadQuery(req.query, scope);
 
-    // Build sort object
+    // Build sort object; sortBy=score or e.g. sortBy=scoreFactors.urgency ranks by priority score
     const sort = {};
     sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+    if (sortBy !== "createdAt") sort.createdAt = -1;
 
     const leads = await Lead.find(query)
       .populate("clientId", "username email profilePic phone")
@@ -136,10 +151,26 @@ router.get("/", async (req, res) => {
 
     const total = await Lead.countDocuments(query);
 
+    // Unread message counts for the current user on each lead
+    const unreadCounts = await Message.aggregate([
+      {
+        $match: {
+          leadId: { $in: leads.map((lead) => lead._id) },
+          recipientId: req.user.id,
+          readAt: null,
+          deletedAt: null,
+        },
+      },
+      { $group: { _id: "$leadId", count: { $sum: 1 } } },
+    ]);
+
     res.json({
       success: true,
       data: {
-        leads,
+        leads: leads.map((lead) => ({
+          ...lead.toViewerJSON(req.user.userType),
+          unreadMessages: unreadCounts.find((entry) => entry._id.equals(lead._id))?.count || 0,
+        })),
         pagination: {
           page: Number.parseInt(page),
           limit: Number.parseInt(limit),
@@ -157,6 +188,58 @@ router.get("/", async (req, res) => {
   }
 });
 
+// Export the current user's leads as CSV or XLSX (same filters as the list)
+router.get("/export", async (req, res) => {
+  try {
+    const { format = "csv", sortBy = "createdAt", sortOrder = "desc" } = req.query;
+
+    if (!["csv", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be csv or xlsx",
+      });
+    }
+
+    const scope = getLeadScope(req.user);
+
+    if (!scope) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const query = await buildLeadQuery(req.query, scope);
+
+    const sort = {};
+    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
+
+    const cursor = Lead.find(query)
+      .populate("clientId", "username email")
+      .populate("partnerId", "username email")
+      .sort(sort)
+      .cursor();
+
+    await streamLeadExport(res, cursor, {
+      format,
+      filename: `leads-${new Date().toISOString().slice(0, 10)}`,
+      viewerRole: req.user.userType,
+    });
+  } catch (error) {
+    console.error("Export leads error:", error);
+
+    // Headers are gone once streaming has started
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to export leads",
+    });
+  }
+});
+
 // Get single lead details
 router.get("/:leadId", async (req, res) => {
   try {
@@ -173,12 +256,9 @@ router.get("/:leadId", async (req, res) => {
     }
 
     // Check access permissions
-    const hasAccess =
-      req.user.userType === "admin" ||
-      lead.clientId._id.toString() === req.user.id ||
-      lead.partnerId._id.toString() === req.user.id;
+    const role = lead.getParticipantRole(req.user);
 
-    if (!hasAccess) {
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
@@ -187,7 +267,11 @@ router.get("/:leadId", async (req, res) => {
 
     res.json({
       success: true,
-      data: { lead },
+      data: {
+        lead: lead.toViewerJSON(req.user.userType),
+        allowedTransitions: Lead.getAllowedTransitions(lead.status, role),
+        canReopen: lead.canReopen(role),
+      },
     });
   } catch (error) {
     console.error("Get lead details error:", error);
@@ -220,41 +304,47 @@ router.patch("/:leadId", async (req, res) => {
     }
 
     // Check permissions
-    const isClient = lead.clientId.toString() === req.user.id;
-    const isPartner = lead.partnerId.toString() === req.user.id;
-    const isAdmin = req.user.userType === "admin";
+    const role = lead.getParticipantRole(req.user);
 
-    if (!isClient && !isPartner && !isAdmin) {
+    if (!role) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    // Partners can only update status and priority
-    if (isPartner && !isAdmin) {
-      const allowedFields = ["status", "priority"];
-      const updates = {};
-      Object.keys(value).forEach((key) => {
-        if (allowedFields.includes(key)) {
-          updates[key] = value[key];
-        }
+    const { status, closeReason, closeNote, priority, ...fields } = value;
+    const statusChanged = status && status !== lead.status;
+
+    if (statusChanged && !lead.canTransition(status, role)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move lead from ${lead.status} to ${status}`,
+        details: {
+          currentStatus: lead.status,
+          allowedTransitions: Lead.getAllowedTransitions(lead.status, role),
+        },
       });
+    }
 
-      if (updates.status && updates.status !== lead.status) {
-        await lead.updateStatus(updates.status, req.user.id);
-      } else {
-        Object.assign(lead, updates);
-        await lead.save();
-      }
-    } else {
-      // Clients and admins can update all fields
-      if (value.status && value.status !== lead.status) {
-        await lead.updateStatus(value.status, req.user.id);
-        delete value.status; // Remove from value as it's already updated
-      }
+    lead.setActor(req.user.id);
+
+    // Partners can only update status and priority; clients and admins can update all fields
+    if (role !== "partner") {
+      Object.assign(lead, fields);
+    }
 
-      Object.assign(lead, value);
+    if (priority === "auto") {
+      lead.priorityManual = false;
+      await applyLeadScore(lead);
+    } else if (priority) {
+      lead.priority = priority;
+      lead.priorityManual = true;
+    }
+
+    if (statusChanged) {
+      await lead.updateStatus(status, req.user.id, { role, reason: closeReason, note: closeNote });
+    } else {
       await lead.save();
     }
 
@@ -266,7 +356,7 @@ router.patch("/:leadId", async (req, res) => {
     res.json({
       success: true,
       message: "Lead updated successfully",
-      data: { lead },
+      data: { lead: lead.toViewerJSON(req.user.userType) },
     });
   } catch (error) {
     console.error("Update lead error:", error);
@@ -277,15 +367,121 @@ router.patch("/:leadId", async (req, res) => {
   }
 });
 
+// Reopen a closed lead (partner or admin), restoring its previous status
+router.patch("/:leadId/reopen", async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const role = lead.getParticipantRole(req.user);
+
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    // Rejects leads that aren't closed (409) and roles that may not reopen (403)
+    await lead.reopen(req.user.id, role);
+
+    await lead.populate([
+      { path: "clientId", select: "username email profilePic" },
+      { path: "partnerId", select: "username email profilePic" },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Lead reopened successfully",
+      data: { lead: lead.toViewerJSON(req.user.userType) },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    console.error("Reopen lead error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reopen lead",
+    });
+  }
+});
+
+// Get the field-level change history of a lead (newest first)
+router.get("/:leadId/history", async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    if (!lead.getParticipantRole(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const { field } = req.query;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 50, 1), 100);
+    const query = { leadId: lead._id };
+    if (field) query.field = field;
+
+    const [history, total] = await Promise.all([
+      LeadHistory.find(query)
+        .populate("changedBy", "username userType")
+        .sort({ changedAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      LeadHistory.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get lead history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch lead history",
+    });
+  }
+});
+
 // Add note to lead
 router.post("/:leadId/notes", async (req, res) => {
   try {
-    const { note } = req.body;
-
-    if (!note || note.trim().length === 0) {
+    const { error, value } = noteSchema.validate(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: "Note content is required",
+        message: "Validation error",
+        details: error.details[0].message,
       });
     }
 
@@ -299,26 +495,54 @@ router.post("/:leadId/notes", async (req, res) => {
     }
 
     // Check permissions
-    const hasAccess =
-      req.user.userType === "admin" ||
-      lead.clientId.toString() === req.user.id ||
-      lead.partnerId.toString() === req.user.id;
-
-    if (!hasAccess) {
+    if (!lead.getParticipantRole(req.user)) {
       return res.status(403).json({
         success: false,
         message: "Access denied",
       });
     }
 
-    await lead.addNote(note.trim(), req.user.id);
+    // Authors can only write notes they are allowed to read
+    if (!Lead.canViewNote(req.user.userType, value.visibility)) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot add ${value.visibility} notes`,
+      });
+    }
+
+    const { mentions, invalidMentions } = await resolveMentions(lead, value.mentions, value.visibility, req.user.id);
+
+    if (invalidMentions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Mentions must be lead participants or admins who can see this note",
+        details: { invalidMentions },
+      });
+    }
+
+    await lead.addNote(value.note, req.user.id, { visibility: value.visibility, mentions });
+
+    const addedNote = lead.notes[lead.notes.length - 1];
+    mentions.forEach((mentionedUserId) => {
+      notificationService.notify(mentionedUserId.toString(), {
+        type: "lead_note_mention",
+        title: "You were mentioned in a note",
+        message: value.note.length > 100 ? `${value.note.slice(0, 100)}...` : value.note,
+        data: {
+          leadId: lead._id,
+          noteId: addedNote._id,
+          mentionedBy: req.user.id,
+        },
+        priority: "medium",
+      });
+    });
 
     await lead.populate("notes.addedBy", "username");
 
     res.json({
       success: true,
       message: "Note added successfully",
-      data: { lead },
+      data: { lead: lead.toViewerJSON(req.user.userType) },
     });
   } catch (error) {
     console.error("Add note error:", error);
@@ -329,6 +553,185 @@ router.post("/:leadId/notes", async (req, res) => {
   }
 });
 
+// Reply to the client with one of the partner's templates; counts as contacting the client
+router.post("/:leadId/template-reply", authorize("partner"), async (req, res) => {
+  try {
+    const { error, value } = templateReplySchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    if (lead.getParticipantRole(req.user) !== "partner") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    const partner = await Partner.findOne({ userId: req.user.id }).select("replyTemplates");
+    const template = partner && partner.replyTemplates.id(value.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply template not found",
+      });
+    }
+
+    const reply = await renderReplyTemplate(template.body, lead);
+
+    lead.notes.push({
+      note: reply,
+      addedBy: req.user.id,
+      addedAt: new Date(),
+      visibility: "shared",
+    });
+
+    // A first reply moves the lead to contacted, which sets contactedAt
+    if (lead.status === "new") {
+      await lead.updateStatus("contacted", req.user.id, { role: "partner" });
+    } else {
+      lead.setActor(req.user.id);
+      await lead.save();
+    }
+
+    notificationService.notify(lead.clientId.toString(), {
+      type: "lead_reply",
+      title: "New reply to your request",
+      message: reply.length > 100 ? `${reply.slice(0, 100)}...` : reply,
+      data: { leadId: lead._id },
+      priority: "medium",
+    });
+
+    await lead.populate("notes.addedBy", "username");
+
+    res.json({
+      success: true,
+      message: "Reply sent successfully",
+      data: { lead: lead.toViewerJSON(req.user.userType) },
+    });
+  } catch (error) {
+    console.error("Template reply error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send reply",
+    });
+  }
+});
+
+// Edit a note (author only, previous text is kept in the edit history)
+router.patch("/:leadId/notes/:noteId", async (req, res) => {
+  try {
+    const { error, value } = editNoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const note = lead.notes.id(req.params.noteId);
+
+    if (!note || note.deletedAt || !Lead.canViewNote(req.user.userType, note.visibility)) {
+      return res.status(404).json({
+        success: false,
+        message: "Note not found",
+      });
+    }
+
+    if (note.system || !note.addedBy || note.addedBy.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author can edit this note",
+      });
+    }
+
+    await lead.editNote(note._id, value.note, req.user.id);
+
+    await lead.populate("notes.addedBy", "username");
+
+    res.json({
+      success: true,
+      message: "Note updated successfully",
+      data: { lead: lead.toViewerJSON(req.user.userType) },
+    });
+  } catch (error) {
+    console.error("Edit note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update note",
+    });
+  }
+});
+
+// Delete a note (author or admin, soft delete)
+router.delete("/:leadId/notes/:noteId", async (req, res) => {
+  try {
+    const lead = await Lead.findById(req.params.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    const note = lead.notes.id(req.params.noteId);
+
+    if (!note || note.deletedAt || !Lead.canViewNote(req.user.userType, note.visibility)) {
+      return res.status(404).json({
+        success: false,
+        message: "Note not found",
+      });
+    }
+
+    const isAuthor = note.addedBy && note.addedBy.toString() === req.user.id.toString();
+
+    if (note.system || (!isAuthor && req.user.userType !== "admin")) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the author or an admin can delete this note",
+      });
+    }
+
+    await lead.removeNote(note._id, req.user.id);
+
+    res.json({
+      success: true,
+      message: "Note deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete note",
+    });
+  }
+});
+
 // Delete lead (soft delete)
 router.delete("/:leadId", async (req, res) => {
   try {
@@ -342,7 +745,7 @@ router.delete("/:leadId", async (req, res) => {
     }
 
     // Only clients who created the lead or admins can delete
-    const canDelete = lead.clientId.toString() === req.user.id || req.user.userType === "admin";
+    const canDelete = lead.clientId.toString() === req.user.id.toString() || req.user.userType === "admin";
 
     if (!canDelete) {
       return res.status(403).json({
@@ -389,6 +792,7 @@ router.get("/stats/partner", authorize("partner"), async (req, res) => {
     const recentLeads = await Lead.find({
       partnerId: req.user.id,
       deletedAt: null,
+      "screening.quarantined": { $ne: true },
     })
       .populate("clientId", "username email profilePic")
       .sort({ createdAt: -1 })
@@ -400,6 +804,7 @@ router.get("/stats/partner", authorize("partner"), async (req, res) => {
         $match: {
           partnerId: req.user.id,
           deletedAt: null,
+          "screening.quarantined": { $ne: true },
           ...(dateRange.startDate && {
             createdAt: {
               $gte: new Date(dateRange.startDate),
@@ -420,7 +825,7 @@ router.get("/stats/partner", authorize("partner"), async (req, res) => {
       success: true,
       data: {
         ...stats,
-        recentLeads,
+        recentLeads: recentLeads.map((lead) => lead.toViewerJSON(req.user.userType)),
         priorityBreakdown: priorityStats,
         dateRange,
       },
@@ -434,4 +839,49 @@ router.get("/stats/partner", authorize("partner"), async (req, res) => {
   }
 });
 
+// Helper function to validate @mentions on a note.
+// Only the lead's client/partner and admins can be mentioned, and only if they can read the note.
+async function resolveMentions(lead, mentionIds, visibility, authorId) {
+  const uniqueIds = [...new Set(mentionIds.map(String))].filter((id) => id !== authorId.toString());
+  const invalidMentions = uniqueIds.filter((id) => !mongoose.isValidObjectId(id));
+  const candidateIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id));
+
+  const users = await User.find({
+    _id: { $in: candidateIds },
+    deletedAt: null,
+    isActive: true,
+  }).select("userType");
+
+  const mentions = [];
+
+  candidateIds.forEach((id) => {
+    const user = users.find((candidate) => candidate._id.toString() === id);
+    let role = null;
+
+    if (user && user.userType === "admin") {
+      role = "admin";
+    } else if (user && lead.clientId.toString() === id) {
+      role = "client";
+    } else if (user && lead.partnerId.toString() === id) {
+      role = "partner";
+    }
+
+    if (role && Lead.canViewNote(role, visibility)) {
+      mentions.push(user._id);
+    } else {
+      invalidMentions.push(id);
+    }
+  });
+
+  return { mentions, invalidMentions };
+}
+
+// Helper function to scope lead queries: clients see the leads they sent,
+// partners the leads they received (minus any held in quarantine)
+function getLeadScope(user) {
+  if (user.userType === "client") return { clientId: user.id };
+  if (user.userType === "partner") return { partnerId: user.id, "screening.quarantined": { $ne: true } };
+  return null;
+}
+
 module.exports = router;
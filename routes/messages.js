@@ -0,0 +1,200 @@
+const express = require("express");
+const Message = require("../models/Message");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const { loadLead } = require("../middleware/leadAccess");
+const notificationService = require("../utils/notificationService");
+const Joi = require("joi");
+
+// Mounted under /api/v1/leads/:leadId/messages
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const sendMessageSchema = Joi.object({
+  body: Joi.string().trim().max(5000).allow("").optional(),
+  attachments: Joi.array()
+    .items(
+      Joi.object({
+        url: Joi.string()
+          .uri({ scheme: ["https", "http"] })
+          .required(),
+        name: Joi.string().max(255).optional(),
+        mimeType: Joi.string().max(100).optional(),
+        size: Joi.number().integer().min(0).optional(),
+      }),
+    )
+    .max(10)
+    .default([]),
+}).custom((value, helpers) => {
+  if (!value.body && value.attachments.length === 0) {
+    return helpers.message("A message needs a body or at least one attachment");
+  }
+  return value;
+});
+
+const markReadSchema = Joi.object({
+  upTo: Joi.date().optional(),
+});
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+router.use(loadLead);
+
+// Get the message thread (newest first)
+router.get("/", async (req, res) => {
+  try {
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 30, 1), 100);
+    const query = { leadId: req.lead._id, deletedAt: null };
+
+    const [messages, total, unreadCount] = await Promise.all([
+      Message.find(query)
+        .populate("senderId", "username profilePic")
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Message.countDocuments(query),
+      Message.countUnread(req.lead._id, req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        messages,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get messages error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch messages",
+    });
+  }
+});
+
+// Send a message to the other participant
+router.post("/", async (req, res) => {
+  try {
+    if (req.leadRole === "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the lead's client and partner can send messages",
+      });
+    }
+
+    // Quarantined leads haven't reached the partner yet, so there's no one to talk to
+    if (req.lead.screening?.quarantined) {
+      return res.status(409).json({
+        success: false,
+        message: "This lead is under review; messages can be sent once it's released",
+      });
+    }
+
+    const { error, value } = sendMessageSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const recipientId = req.leadRole === "client" ? req.lead.partnerId : req.lead.clientId;
+
+    const message = new Message({
+      leadId: req.lead._id,
+      senderId: req.user.id,
+      recipientId,
+      body: value.body,
+      attachments: value.attachments,
+    });
+    await message.save();
+
+    await message.populate("senderId", "username profilePic");
+
+    const unreadCount = await Message.countUnread(req.lead._id, recipientId);
+
+    notificationService.notify(recipientId.toString(), {
+      type: "lead_message",
+      title: `New message from ${message.senderId.username}`,
+      message: value.body ? value.body.slice(0, 100) : "Sent an attachment",
+      data: {
+        leadId: req.lead._id,
+        message,
+        unreadCount,
+      },
+      priority: "medium",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent successfully",
+      data: { message },
+    });
+  } catch (error) {
+    console.error("Send message error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send message",
+    });
+  }
+});
+
+// Mark received messages as read (read receipts for the sender)
+router.patch("/read", async (req, res) => {
+  try {
+    const { error, value } = markReadSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const readAt = new Date();
+    const result = await Message.markThreadRead(req.lead._id, req.user.id, value.upTo || readAt);
+
+    if (result.modifiedCount > 0 && req.leadRole !== "admin") {
+      const senderId = req.leadRole === "client" ? req.lead.partnerId : req.lead.clientId;
+
+      notificationService.notify(senderId.toString(), {
+        type: "lead_messages_read",
+        title: "Messages read",
+        message: "Your messages have been read",
+        data: {
+          leadId: req.lead._id,
+          readBy: req.user.id,
+          readAt,
+        },
+        priority: "low",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Messages marked as read",
+      data: {
+        markedRead: result.modifiedCount,
+        unreadCount: await Message.countUnread(req.lead._id, req.user.id),
+      },
+    });
+  } catch (error) {
+    console.error("Mark messages read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark messages as read",
+    });
+  }
+});
+
+module.exports = router;
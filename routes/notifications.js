@@ -1,46 +1,242 @@
 const express = require("express");
 const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const Notification = require("../models/Notification");
 const notificationService = require("../utils/notificationService");
 
 const router = express.Router();
 
+// Get notification history (newest first)
+router.get("/", verifyFirebaseToken, async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 20, 1), 100);
+    const query = { userId: req.user.id, deletedAt: null };
+
+    if (unread === "true") query.readAt = null;
+    if (type) query.type = type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query),
+      Notification.countUnread(req.user.id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get notifications error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch notifications",
+    });
+  }
+});
+
+// Get unread notification count
+router.get("/unread-count", verifyFirebaseToken, async (req, res) => {
+  try {
+    const unreadCount = await Notification.countUnread(req.user.id);
+
+    res.json({
+      success: true,
+      data: { unreadCount },
+    });
+  } catch (error) {
+    console.error("Get unread count error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch unread count",
+    });
+  }
+});
+
+// Mark all notifications as read
+router.patch("/read-all", verifyFirebaseToken, async (req, res) => {
+  try {
+    const result = await Notification.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: "All notifications marked as read",
+      data: { markedRead: result.modifiedCount },
+    });
+  } catch (error) {
+    console.error("Mark all notifications read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notifications as read",
+    });
+  }
+});
+
+// Mark a single notification as read
+router.patch("/:notificationId/read", verifyFirebaseToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.user.id,
+      deletedAt: null,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      message: "Notification marked as read",
+      data: { notification },
+    });
+  } catch (error) {
+    console.error("Mark notification read error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to mark notification as read",
+    });
+  }
+});
+
+// Delete a notification
+router.delete("/:notificationId", verifyFirebaseToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      userId: req.user.id,
+      deletedAt: null,
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      });
+    }
+
+    await notification.softDelete();
+
+    res.json({
+      success: true,
+      message: "Notification deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete notification error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete notification",
+    });
+  }
+});
+
+// Maximum number of missed events replayed on reconnect
+const REPLAY_LIMIT = 100;
+
 // SSE endpoint for real-time notifications
-router.get("/stream", verifyFirebaseToken, (req, res) => {
+// Resumes from the Last-Event-ID header (or ?lastEventId=) and filters by ?types=type1,type2
+router.get("/stream", verifyFirebaseToken, async (req, res) => {
   // Set headers for SSE
   res.writeHead(200, {
     "Content-Type": "text/event-stream",
     "Cache-Control": "no-cache",
     Connection: "keep-alive",
     "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Headers": "Cache-Control",
+    "Access-Control-Allow-Headers": "Cache-Control, Last-Event-ID",
   });
 
   const userId = req.user.id;
+  const types = String(req.query.types || "")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const lastEventId = Number.parseInt(req.headers["last-event-id"] || req.query.lastEventId);
+  const resuming = !Number.isNaN(lastEventId);
+
+  const send = (notification) => {
+    if (notification.eventId) {
+      res.write(`id: ${notification.eventId}\n`);
+    }
+    res.write(`data: ${JSON.stringify(notification)}\n\n`);
+  };
 
   // Send initial connection message
   res.write(`data: ${JSON.stringify({ type: "connected", message: "Connected to notifications" })}\n\n`);
 
+  // Live events are held back while missed ones are replayed so the stream stays in order
+  let pending = resuming ? [] : null;
+  let replayedUpTo = resuming ? lastEventId : 0;
+
   // Notification callback
   const notificationCallback = (notification) => {
-    res.write(`data: ${JSON.stringify(notification)}\n\n`);
+    if (types.length > 0 && !types.includes(notification.type)) return;
+
+    if (pending) {
+      pending.push(notification);
+      return;
+    }
+
+    // Skip events already sent by the replay
+    if (notification.eventId && notification.eventId <= replayedUpTo) return;
+
+    send(notification);
   };
 
   // Subscribe to notifications
   notificationService.subscribe(userId, notificationCallback);
 
-  // Handle client disconnect
-  req.on("close", () => {
-    notificationService.unsubscribe(userId, notificationCallback);
-  });
-
   // Keep connection alive
   const keepAlive = setInterval(() => {
     res.write(`data: ${JSON.stringify({ type: "ping" })}\n\n`);
   }, 30000);
 
+  // Handle client disconnect
   req.on("close", () => {
+    notificationService.unsubscribe(userId, notificationCallback);
     clearInterval(keepAlive);
   });
+
+  if (resuming) {
+    try {
+      const missed = await Notification.findSince(userId, lastEventId, { types, limit: REPLAY_LIMIT });
+
+      missed.forEach((notification) => {
+        send(notification.toPayload());
+        replayedUpTo = notification.eventId;
+      });
+
+      // Older events are still available from the inbox endpoint
+      if (missed.length === REPLAY_LIMIT) {
+        res.write(
+          `data: ${JSON.stringify({ type: "replay_truncated", message: "Some missed notifications were not replayed" })}\n\n`,
+        );
+      }
+    } catch (error) {
+      console.error("Notification replay error:", error);
+    }
+
+    const queued = pending;
+    pending = null;
+    queued.forEach(notificationCallback);
+  }
 });
 
 module.exports = router;
@@ -1,12 +1,23 @@
 const express = require("express");
 const multer = require("multer");
 const Partner = require("../models/Partner");
+const Availability = require("../models/Availability");
 const { verifyFirebaseToken, authorize, requireEmailVerification } = require("../middleware/firebaseAuth");
-const { validatePartnerProfile, validateService } = require("../middleware/validation");
+const {
+  validatePartnerProfile,
+  validateService,
+  validateAvailability,
+  validateBlackout,
+  validateReplyTemplate,
+  validateAutoReply,
+} = require("../middleware/validation");
 const { sanitizeInput } = require("../middleware/security");
 
 const router = express.Router();
 
+// Upper bound on the size of a partner's reply template library
+const MAX_REPLY_TEMPLATES = 50;
+
 // Configure multer for file uploads
 const upload = multer({
   limits: {
@@ -217,6 +228,304 @@ router.post("/documents", upload.array("documents", 5), requireEmailVerification
   }
 });
 
+// Get availability settings
+router.get("/availability", async (req, res) => {
+  try {
+    const availability = await Availability.findForPartner(req.user.id);
+
+    res.json({
+      success: true,
+      data: { availability },
+    });
+  } catch (error) {
+    console.error("Get availability error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch availability",
+    });
+  }
+});
+
+// Update capacity, conflict policy, recurring days off and per-date capacity
+router.put("/availability", validateAvailability, async (req, res) => {
+  try {
+    const availability = await Availability.findForPartner(req.user.id);
+
+    const allowedFields = ["defaultCapacity", "conflictPolicy", "recurringUnavailability", "capacityOverrides"];
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        availability[field] = req.body[field];
+      }
+    });
+
+    await availability.save();
+
+    res.json({
+      success: true,
+      message: "Availability updated successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    console.error("Update availability error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update availability",
+    });
+  }
+});
+
+// Add blackout dates
+router.post("/availability/blackouts", validateBlackout, async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+
+    const availability = await Availability.findForPartner(req.user.id);
+    availability.blackoutDates.push({ startDate, endDate: endDate || startDate, reason });
+    await availability.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Blackout dates added successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    console.error("Add blackout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add blackout dates",
+    });
+  }
+});
+
+// Remove blackout dates
+router.delete("/availability/blackouts/:blackoutId", async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ partnerId: req.user.id });
+    const blackout = availability && availability.blackoutDates.id(req.params.blackoutId);
+
+    if (!blackout) {
+      return res.status(404).json({
+        success: false,
+        message: "Blackout not found",
+      });
+    }
+
+    blackout.deleteOne();
+    await availability.save();
+
+    res.json({
+      success: true,
+      message: "Blackout dates removed successfully",
+      data: { availability },
+    });
+  } catch (error) {
+    console.error("Remove blackout error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove blackout dates",
+    });
+  }
+});
+
+// Get day-by-day calendar with capacity and bookings
+router.get("/availability/calendar", async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || to < from) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      });
+    }
+
+    // Cap the range to roughly three months
+    if (to - from > 92 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: "Date range cannot exceed 92 days",
+      });
+    }
+
+    const calendar = await Availability.getCalendar(req.user.id, from, to);
+
+    res.json({
+      success: true,
+      data: { calendar },
+    });
+  } catch (error) {
+    console.error("Get availability calendar error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch availability calendar",
+    });
+  }
+});
+
+// Get reply templates and auto-reply settings
+router.get("/reply-templates", async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ userId: req.user.id }).select("replyTemplates autoReply");
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { templates: partner.replyTemplates, autoReply: partner.autoReply },
+    });
+  } catch (error) {
+    console.error("Get reply templates error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reply templates",
+    });
+  }
+});
+
+// Add reply template
+router.post("/reply-templates", validateReplyTemplate, async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ userId: req.user.id });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      });
+    }
+
+    if (partner.replyTemplates.length >= MAX_REPLY_TEMPLATES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can keep up to ${MAX_REPLY_TEMPLATES} reply templates`,
+      });
+    }
+
+    partner.replyTemplates.push({ name: req.body.name, body: req.body.body });
+    await partner.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Reply template added successfully",
+      data: { template: partner.replyTemplates[partner.replyTemplates.length - 1] },
+    });
+  } catch (error) {
+    console.error("Add reply template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add reply template",
+    });
+  }
+});
+
+// Update reply template
+router.patch("/reply-templates/:templateId", validateReplyTemplate, async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ userId: req.user.id });
+    const template = partner && partner.replyTemplates.id(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply template not found",
+      });
+    }
+
+    template.name = req.body.name;
+    template.body = req.body.body;
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: "Reply template updated successfully",
+      data: { template },
+    });
+  } catch (error) {
+    console.error("Update reply template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update reply template",
+    });
+  }
+});
+
+// Delete reply template (turns auto-reply off if it used this template)
+router.delete("/reply-templates/:templateId", async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ userId: req.user.id });
+    const template = partner && partner.replyTemplates.id(req.params.templateId);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply template not found",
+      });
+    }
+
+    if (partner.autoReply?.templateId?.equals(template._id)) {
+      partner.autoReply = { enabled: false, templateId: null };
+    }
+
+    template.deleteOne();
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: "Reply template deleted successfully",
+      data: { autoReply: partner.autoReply },
+    });
+  } catch (error) {
+    console.error("Delete reply template error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete reply template",
+    });
+  }
+});
+
+// Turn the auto-reply on new leads on or off
+router.put("/auto-reply", validateAutoReply, async (req, res) => {
+  try {
+    const { enabled, templateId } = req.body;
+    const partner = await Partner.findOne({ userId: req.user.id });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      });
+    }
+
+    if (templateId && !partner.replyTemplates.id(templateId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Reply template not found",
+      });
+    }
+
+    partner.autoReply = { enabled, templateId: templateId || partner.autoReply?.templateId || null };
+    await partner.save();
+
+    res.json({
+      success: true,
+      message: enabled ? "Auto-reply enabled" : "Auto-reply disabled",
+      data: { autoReply: partner.autoReply },
+    });
+  } catch (error) {
+    console.error("Update auto-reply error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update auto-reply",
+    });
+  }
+});
+
 // Get all verified partners (public endpoint)
 router.get("/", async (req, res) => {
   try {
@@ -254,7 +563,7 @@ router.get("/", async (req, res) => {
       .sort(sort)
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select("-documents -dashboardData");
+      .select("-documents -dashboardData -replyTemplates -autoReply");
 
     const total = await Partner.countDocuments(query);
 
@@ -284,7 +593,7 @@ router.get("/:id", async (req, res) => {
   try {
     const partner = await Partner.findById(req.params.id)
       .populate("userId", "username profilePic createdAt")
-      .select("-documents -dashboardData")
+      .select("-documents -dashboardData -replyTemplates -autoReply")
       .where("verified")
       .equals(true)
       .where("deletedAt")
@@ -1,11 +1,43 @@
 const express = require("express");
 const Partner = require("../models/Partner");
+const Review = require("../models/Review");
+const Availability = require("../models/Availability");
 const { sanitizeInput } = require("../middleware/security");
+const { PIN_CODE_PATTERN, normalizePinCode } = require("../utils/pinCodes");
+const { buildSearchTerms, buildTextSearch, escapeRegex } = require("../utils/textSearch");
+const { LOCATION_MULTIPLIER_RANGE, normalizeLocation } = require("../utils/pricing");
 const Joi = require("joi");
 const { ObjectId } = require("mongoose").Types;
 
 const router = express.Router();
 
+// Most text matches considered when a search is combined with a near-me search
+const NEAR_ME_TEXT_MATCH_LIMIT = 500;
+
+// $text matches any single term, so a partner sharing one common trigram ("ing") with the
+// query would match. Results also need this share of the query's trigrams in their n-grams
+// (a typo keeps most of them), or one of the query's words in a service description.
+const MIN_TRIGRAM_SHARE = 0.5;
+
+// Most values returned per location/specialization facet
+const FACET_VALUE_LIMIT = 50;
+
+// Facet buckets; each corresponds to the minRating or minPrice/maxPrice filter values
+const RATING_BUCKETS = [
+  { label: "4.5+", minRating: 4.5 },
+  { label: "4.0+", minRating: 4.0 },
+  { label: "3.5+", minRating: 3.5 },
+  { label: "3.0+", minRating: 3.0 },
+];
+
+const PRICE_BUCKETS = [
+  { label: "Under ₹10,000", minPrice: 0, maxPrice: 10000 },
+  { label: "₹10,000 - ₹25,000", minPrice: 10000, maxPrice: 25000 },
+  { label: "₹25,000 - ₹50,000", minPrice: 25000, maxPrice: 50000 },
+  { label: "₹50,000 - ₹1,00,000", minPrice: 50000, maxPrice: 100000 },
+  { label: "₹1,00,000+", minPrice: 100000 },
+];
+
 // Root public endpoint
 router.get("/", (req, res) => {
   res.json({
@@ -29,11 +61,24 @@ const searchPartnersSchema = Joi.object({
   maxPrice: Joi.number().min(0).optional(),
   minPrice: Joi.number().min(0).optional(),
   sortBy: Joi.string()
-    .valid("avgRating", "experienceYears", "totalReviews", "createdAt", "companyName")
+    .valid("avgRating", "experienceYears", "totalReviews", "createdAt", "companyName", "distance", "relevance", "price")
     .default("avgRating"),
-  sortOrder: Joi.string().valid("asc", "desc").default("desc"),
+  // Nearest and cheapest first unless asked otherwise; highest first for everything else
+  sortOrder: Joi.string()
+    .valid("asc", "desc")
+    .default((parent) => (["distance", "price"].includes(parent.sortBy) ? "asc" : "desc")),
   servingLocation: Joi.string().trim().optional(),
-});
+  availableOn: Joi.date().optional(),
+  pinCode: Joi.string().replace(/\s+/g, "").pattern(PIN_CODE_PATTERN).optional(),
+  // "Near me" search around a point
+  lat: Joi.number().min(-90).max(90).optional(),
+  lng: Joi.number().min(-180).max(180).optional(),
+  radiusKm: Joi.number().min(0.1).max(500).default(25),
+})
+  .and("lat", "lng")
+  .when(Joi.object({ sortBy: Joi.valid("distance").required() }).unknown(), {
+    then: Joi.object({ lat: Joi.required() }),
+  });
 
 // Get all verified partners with pagination and filters (Public API)
 router.get("/partners", async (req, res) => {
@@ -60,7 +105,13 @@ router.get("/partners", async (req, res) => {
       sortBy,
       sortOrder,
       servingLocation,
+      availableOn,
+      pinCode,
+      lat,
+      lng,
+      radiusKm,
     } = value;
+    const nearMe = lat !== undefined && lng !== undefined;
 
     // Build aggregation pipeline
     const pipeline = [];
@@ -72,25 +123,103 @@ router.get("/partners", async (req, res) => {
       onboardingStatus: "verified",
     };
 
-    // Add filters
+    // Filters that also have facets live in facetFilters: results use all of them, and each
+    // facet's counts use all but its own so the UI can show what picking another value gives
+    const facetFilters = {};
+
     if (partnerType) {
-      matchStage.partnerType = partnerType;
+      facetFilters.partnerType = { partnerType };
     }
 
     if (minRating) {
-      matchStage.avgRating = { $gte: minRating };
+      facetFilters.rating = { avgRating: { $gte: minRating } };
     }
 
     if (specialization) {
-      matchStage.specializations = { $in: [specialization] };
+      facetFilters.specialization = { specializations: { $in: [specialization] } };
     }
 
     if (location || servingLocation) {
       const locationFilter = location || servingLocation;
-      matchStage.servingLocations = { $in: [locationFilter] };
+      facetFilters.location = { servingLocations: { $in: [locationFilter] } };
+    }
+
+    // Add price filtering based on services, at the searched location's prices
+    if (minPrice || maxPrice) {
+      facetFilters.price = { $expr: pricedWithin(minPrice, maxPrice) };
+    }
+
+    // Each facet leaves out only its own filter, so a partner failing two of the filters
+    // appears nowhere. Dropping those here lets the indexes narrow the partners before the
+    // $lookup. Price needs the effective prices computed later, so it can't take part.
+    const indexedFilters = Object.fromEntries(Object.entries(facetFilters).filter(([name]) => name !== "price"));
+    if (Object.keys(indexedFilters).length > 1) {
+      matchStage.$or = Object.keys(indexedFilters).map((name) => matchFacetFilters(indexedFilters, name).$match);
+    }
+
+    // Exclude partners who are fully booked or blacked out on the requested date
+    if (availableOn) {
+      const unavailablePartnerIds = await Availability.findUnavailablePartnerIds(availableOn);
+      matchStage.userId = { $nin: unavailablePartnerIds };
+    }
+
+    if (pinCode) {
+      matchStage["partnerLocations.pinCodesServed"] = pinCode;
+    }
+
+    // Relevance-ranked text search; input without any words (e.g. "((") matches nothing
+    const textSearch = search ? buildTextSearch(search) : "";
+    let relevanceStage = null;
+
+    if (search && !textSearch) {
+      matchStage._id = { $in: [] };
+    } else if (textSearch && nearMe) {
+      // $text can't share a pipeline with $geoNear, so find the text matches first
+      const textMatches = await Partner.find(
+        { ...matchStage, $text: { $search: textSearch }, $expr: matchSearchTerms(search) },
+        { relevance: { $meta: "textScore" } },
+      )
+        .sort({ relevance: { $meta: "textScore" } })
+        .limit(NEAR_ME_TEXT_MATCH_LIMIT)
+        .lean();
+      const matchedIds = textMatches.map((partner) => partner._id);
+
+      matchStage._id = { $in: matchedIds };
+      relevanceStage = {
+        $set: {
+          relevance: {
+            $arrayElemAt: [textMatches.map((partner) => partner.relevance), { $indexOfArray: [matchedIds, "$_id"] }],
+          },
+        },
+      };
+    } else if (textSearch) {
+      matchStage.$text = { $search: textSearch };
+      matchStage.$expr = matchSearchTerms(search);
+      relevanceStage = { $set: { relevance: { $meta: "textScore" } } };
+    }
+
+    if (nearMe) {
+      // $geoNear must come first; it applies the filters itself and measures the distance
+      // to the partner's nearest location
+      pipeline.push({
+        $geoNear: {
+          near: { type: "Point", coordinates: [lng, lat] },
+          key: "partnerLocations.geo",
+          distanceField: "distanceKm",
+          distanceMultiplier: 0.001,
+          maxDistance: radiusKm * 1000,
+          spherical: true,
+          query: matchStage,
+        },
+      });
+      pipeline.push({ $set: { distanceKm: { $round: ["$distanceKm", 2] } } });
+    } else {
+      pipeline.push({ $match: matchStage });
     }
 
-    pipeline.push({ $match: matchStage });
+    if (relevanceStage) {
+      pipeline.push(relevanceStage);
+    }
 
     // Lookup user information
     pipeline.push({
@@ -104,43 +233,35 @@ router.get("/partners", async (req, res) => {
 
     pipeline.push({ $unwind: "$user" });
 
-    // Add search functionality
-    if (search) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { companyName: { $regex: search, $options: "i" } },
-            { "user.username": { $regex: search, $options: "i" } },
-            { specializations: { $in: [new RegExp(search, "i")] } },
-            { servingLocations: { $in: [new RegExp(search, "i")] } },
-          ],
-        },
-      });
-    }
+    // Services priced for the searched location (base prices without one)
+    pipeline.push(...buildEffectivePriceStages(location || servingLocation));
 
-    // Add price filtering based on services
-    if (minPrice || maxPrice) {
-      const priceMatch = {};
-      if (minPrice) priceMatch["services.basePrice"] = { $gte: minPrice };
-      if (maxPrice) {
-        priceMatch["services.basePrice"] = {
-          ...priceMatch["services.basePrice"],
-          $lte: maxPrice,
-        };
-      }
+    // Page of results; filled into the $facet stage below
+    const resultsPipeline = [matchFacetFilters(facetFilters)];
 
-      pipeline.push({
-        $match: {
-          $or: [
-            priceMatch,
-            { "services.0": { $exists: false } }, // Include partners with no services listed
-          ],
-        },
-      });
+    // Add sorting; searches rank by relevance unless another order was asked for,
+    // and near-me results fall back to distance for ties
+    let sortField = sortBy === "distance" ? "distanceKm" : sortBy;
+    if (search && req.query.sortBy === undefined) sortField = "relevance";
+    if (sortField === "relevance" && !search) sortField = "avgRating";
+
+    const sortStage = {};
+    if (sortField === "price") {
+      // Partners without priced services go last either way
+      sortStage.hasPrice = -1;
+      sortStage.startingPrice = sortOrder === "desc" ? -1 : 1;
+    } else {
+      sortStage[sortField] = sortOrder === "desc" ? -1 : 1;
     }
+    if (nearMe && sortField !== "distanceKm") sortStage.distanceKm = 1;
+    resultsPipeline.push({ $sort: sortStage });
+
+    // Add pagination
+    resultsPipeline.push({ $skip: (page - 1) * limit });
+    resultsPipeline.push({ $limit: limit });
 
     // Project only public fields
-    pipeline.push({
+    resultsPipeline.push({
       $project: {
         // Partner fields
         userId:1,
@@ -158,6 +279,9 @@ router.get("/partners", async (req, res) => {
         socialLinks: 1,
         projectStats: 1,
         createdAt: 1,
+        distanceKm: 1,
+        relevance: 1,
+        startingPrice: 1,
 
         // Services (excluding sensitive pricing details if needed)
         services: {
@@ -169,6 +293,7 @@ router.get("/partners", async (req, res) => {
               name: "$$service.name",
               description: "$$service.description",
               basePrice: "$$service.basePrice",
+              effectivePrice: "$$service.effectivePrice",
               priceUnit: "$$service.priceUnit",
             },
           },
@@ -195,24 +320,18 @@ router.get("/partners", async (req, res) => {
       },
     });
 
-    // Add sorting
-    const sortStage = {};
-    sortStage[sortBy] = sortOrder === "desc" ? -1 : 1;
-    pipeline.push({ $sort: sortStage });
-
-    // Get total count for pagination
-    const countPipeline = [...pipeline, { $count: "total" }];
-    const totalResult = await Partner.aggregate(countPipeline);
-    const total = totalResult[0]?.total || 0;
-
-    // Add pagination
-    pipeline.push({ $skip: (page - 1) * limit });
-    pipeline.push({ $limit: limit });
-
-    const partners = await Partner.aggregate(pipeline);
+    // Results, total and facet counts in one round trip
+    pipeline.push({
+      $facet: {
+        partners: resultsPipeline,
+        total: [matchFacetFilters(facetFilters), { $count: "total" }],
+        ...buildSearchFacets(facetFilters),
+      },
+    });
 
-    // Get available filters for frontend
-    const availableFilters = await getAvailableFilters();
+    const [result] = await Partner.aggregate(pipeline);
+    const { partners } = result;
+    const total = result.total[0]?.total || 0;
 
     res.json({
       success: true,
@@ -226,7 +345,7 @@ router.get("/partners", async (req, res) => {
           hasNext: page < Math.ceil(total / limit),
           hasPrev: page > 1,
         },
-        filters: availableFilters,
+        filters: formatSearchFacets(result),
         appliedFilters: {
           search,
           location: location || servingLocation,
@@ -235,8 +354,13 @@ router.get("/partners", async (req, res) => {
           minRating,
           minPrice,
           maxPrice,
-          sortBy,
+          sortBy: sortField === "distanceKm" ? "distance" : sortField,
           sortOrder,
+          availableOn,
+          pinCode,
+          lat,
+          lng,
+          radiusKm: nearMe ? radiusKm : undefined,
         },
       },
     });
@@ -249,11 +373,69 @@ router.get("/partners", async (req, res) => {
   }
 });
 
+// List verified partners serving a PIN code, best rated first (Public API)
+router.get("/partners/by-pincode/:pin", async (req, res) => {
+  try {
+    const pinCode = normalizePinCode(req.params.pin);
+
+    if (!PIN_CODE_PATTERN.test(pinCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "PIN code must be 6 digits and not start with 0",
+      });
+    }
+
+    const page = Math.max(Number.parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 12, 1), 50);
+
+    const query = {
+      verified: true,
+      deletedAt: null,
+      onboardingStatus: "verified",
+      "partnerLocations.pinCodesServed": pinCode,
+    };
+
+    const [partners, total] = await Promise.all([
+      Partner.find(query)
+        .populate("userId", "username profilePic")
+        .select(
+          "userId companyName specializations experienceYears avgRating totalReviews partnerType servingLocations partnerLocations portfolio banner services",
+        )
+        .sort({ avgRating: -1, totalReviews: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Partner.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        pinCode,
+        partners,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get partners by PIN code error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch partners",
+    });
+  }
+});
+
 // Get single partner profile (Public API)
 router.get("/partners/:partnerId", async (req, res) => {
   try {
     
     const { partnerId } = req.params;
+    // Optional city to price services for
+    const location = typeof req.query.location === "string" ? req.query.location.trim().slice(0, 100) : "";
 
     const partner = await Partner.aggregate([
       {
@@ -273,6 +455,7 @@ router.get("/partners/:partnerId", async (req, res) => {
         },
       },
       { $unwind: "$user" },
+      ...buildEffectivePriceStages(location),
       {
         $project: {
           // Partner information
@@ -292,8 +475,9 @@ router.get("/partners/:partnerId", async (req, res) => {
           projectStats: 1,
           createdAt: 1,
 
-          // Services with full details
+          // Services with full details, effectivePrice adjusted for ?location=
           services: 1,
+          startingPrice: 1,
 
           // Location pricing (public information)
           locationPricing: 1,
@@ -380,6 +564,7 @@ router.get("/partners/:partnerId", async (req, res) => {
       data: {
         partner: partner[0],
         similarPartners,
+        priceLocation: location || null,
       },
     });
   } catch (error) {
@@ -439,6 +624,75 @@ router.get("/partners/:partnerId/portfolio", async (req, res) => {
   }
 });
 
+// Get partner reviews (Public API)
+router.get("/partners/:partnerId/reviews", async (req, res) => {
+  try {
+    const { partnerId } = req.params;
+    const { page = 1, limit = 10, sortBy = "createdAt", sortOrder = "desc" } = req.query;
+
+    if (!ObjectId.isValid(partnerId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found",
+      });
+    }
+
+    const partner = await Partner.findOne({
+      _id: partnerId,
+      verified: true,
+      deletedAt: null,
+    }).select("userId companyName avgRating totalReviews");
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found",
+      });
+    }
+
+    const query = { partnerId: partner.userId, deletedAt: null };
+    const sortField = ["createdAt", "rating"].includes(sortBy) ? sortBy : "createdAt";
+
+    const [reviews, total, ratingBreakdown] = await Promise.all([
+      Review.find(query)
+        .select("rating title comment clientId createdAt")
+        .populate("clientId", "username profilePic")
+        .sort({ [sortField]: sortOrder === "asc" ? 1 : -1, _id: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Review.countDocuments(query),
+      Review.getRatingBreakdown(partner.userId),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary: {
+          companyName: partner.companyName,
+          avgRating: partner.avgRating,
+          totalReviews: partner.totalReviews,
+          ratingBreakdown,
+        },
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get partner reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reviews",
+    });
+  }
+});
+
 // Get available filter options (Public API)
 router.get("/partners/filters/options", async (req, res) => {
   try {
@@ -460,9 +714,10 @@ router.get("/partners/filters/options", async (req, res) => {
 // Search suggestions (Public API)
 router.get("/partners/search/suggestions", async (req, res) => {
   try {
-    const { q } = req.query;
+    const q = String(req.query.q || "").trim();
+    const textSearch = buildTextSearch(q);
 
-    if (!q || q.length < 2) {
+    if (q.length < 2 || !textSearch) {
       return res.json({
         success: true,
         data: { suggestions: [] },
@@ -474,13 +729,12 @@ router.get("/partners/search/suggestions", async (req, res) => {
         $match: {
           verified: true,
           deletedAt: null,
-          $or: [
-            { companyName: { $regex: q, $options: "i" } },
-            { specializations: { $in: [new RegExp(q, "i")] } },
-            { servingLocations: { $in: [new RegExp(q, "i")] } },
-          ],
+          $text: { $search: textSearch },
+          $expr: matchSearchTerms(q),
         },
       },
+      { $sort: { score: { $meta: "textScore" } } },
+      { $limit: 10 },
       {
         $lookup: {
           from: "users",
@@ -503,20 +757,21 @@ router.get("/partners/search/suggestions", async (req, res) => {
           },
         },
       },
-      { $limit: 10 },
     ]);
 
     // Also get location and specialization suggestions
+    const pattern = new RegExp(escapeRegex(q), "i");
+
     const locationSuggestions = await Partner.distinct("servingLocations", {
       verified: true,
       deletedAt: null,
-      servingLocations: { $regex: q, $options: "i" },
+      servingLocations: pattern,
     });
 
     const specializationSuggestions = await Partner.distinct("specializations", {
       verified: true,
       deletedAt: null,
-      specializations: { $regex: q, $options: "i" },
+      specializations: pattern,
     });
 
     res.json({
@@ -789,4 +1044,165 @@ async function getAvailableFilters() {
   }
 }
 
+// Helper function: $expr keeping partners that share at least MIN_TRIGRAM_SHARE of the
+// search's trigrams, or have one of its words in a service description (descriptions
+// aren't in searchNgrams). Applied next to $text, which narrows the candidates first.
+function matchSearchTerms(search) {
+  const { words, grams } = buildSearchTerms(search);
+
+  const sharedGrams = {
+    $size: { $setIntersection: [{ $split: [{ $ifNull: ["$searchNgrams", ""] }, " "] }, grams] },
+  };
+  const descriptions = {
+    $reduce: {
+      input: { $ifNull: ["$services.description", []] },
+      initialValue: "",
+      in: { $concat: ["$$value", " ", { $ifNull: ["$$this", ""] }] },
+    },
+  };
+
+  return {
+    $or: [
+      { $gte: [sharedGrams, Math.ceil(grams.length * MIN_TRIGRAM_SHARE)] },
+      ...words.map((word) => ({ $regexMatch: { input: descriptions, regex: `\\b${word}\\b`, options: "i" } })),
+    ],
+  };
+}
+
+// Helper function: stages adding services[].effectivePrice (basePrice times the partner's
+// locationPricing multiplier for the location, see utils/pricing.js), the lowest of them
+// as startingPrice, and hasPrice for sorting
+function buildEffectivePriceStages(location) {
+  const target = normalizeLocation(location);
+
+  // First in-range multiplier whose city matches, else 1 (same rule as utils/pricing.js)
+  let multiplier = 1;
+  if (target) {
+    multiplier = {
+      $let: {
+        vars: {
+          matches: {
+            $filter: {
+              input: { $objectToArray: { $ifNull: ["$locationPricing", {}] } },
+              as: "entry",
+              cond: {
+                $and: [
+                  { $eq: [{ $toLower: { $trim: { input: "$$entry.k" } } }, target] },
+                  { $gte: ["$$entry.v", LOCATION_MULTIPLIER_RANGE.min] },
+                  { $lte: ["$$entry.v", LOCATION_MULTIPLIER_RANGE.max] },
+                ],
+              },
+            },
+          },
+        },
+        in: { $ifNull: [{ $arrayElemAt: ["$$matches.v", 0] }, 1] },
+      },
+    };
+  }
+
+  return [
+    { $set: { locationMultiplier: multiplier } },
+    {
+      $set: {
+        services: {
+          $map: {
+            input: { $ifNull: ["$services", []] },
+            as: "service",
+            in: {
+              $mergeObjects: [
+                "$$service",
+                { effectivePrice: { $round: [{ $multiply: ["$$service.basePrice", "$locationMultiplier"] }, 2] } },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $set: { startingPrice: { $min: "$services.effectivePrice" } } },
+    { $set: { hasPrice: { $ne: [{ $ifNull: ["$startingPrice", null] }, null] } } },
+  ];
+}
+
+// Helper function: expression true when one service's effective price is within the bounds
+// (either may be omitted). Partners with no services listed are included.
+function pricedWithin(minPrice, maxPrice) {
+  const inRange = [];
+  if (minPrice) inRange.push({ $gte: ["$$service.effectivePrice", minPrice] });
+  if (maxPrice) inRange.push({ $lte: ["$$service.effectivePrice", maxPrice] });
+
+  return {
+    $or: [
+      { $eq: [{ $size: "$services" }, 0] },
+      { $anyElementTrue: [{ $map: { input: "$services", as: "service", in: { $and: inRange } } }] },
+    ],
+  };
+}
+
+// Helper function: $match for every facet filter except the named one
+function matchFacetFilters(facetFilters, except) {
+  const conditions = Object.entries(facetFilters)
+    .filter(([name]) => name !== except)
+    .map(([, condition]) => condition);
+
+  return { $match: conditions.length > 0 ? { $and: conditions } : {} };
+}
+
+// Helper function: $facet sub-pipelines counting partners per filter value
+function buildSearchFacets(facetFilters) {
+  const countValues = (field) => [
+    { $project: { value: { $setUnion: [{ $ifNull: [field, []] }, []] } } },
+    { $unwind: "$value" },
+    { $group: { _id: "$value", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_VALUE_LIMIT },
+  ];
+
+  const ratingCounts = {};
+  RATING_BUCKETS.forEach((bucket, index) => {
+    ratingCounts[`bucket${index}`] = { $sum: { $cond: [{ $gte: ["$avgRating", bucket.minRating] }, 1, 0] } };
+  });
+
+  // Same rule as the minPrice/maxPrice filter, so a bucket's count is what picking it returns
+  const priceCounts = {};
+  PRICE_BUCKETS.forEach((bucket, index) => {
+    priceCounts[`bucket${index}`] = { $sum: { $cond: [pricedWithin(bucket.minPrice, bucket.maxPrice), 1, 0] } };
+  });
+
+  return {
+    locations: [matchFacetFilters(facetFilters, "location"), ...countValues("$servingLocations")],
+    specializations: [matchFacetFilters(facetFilters, "specialization"), ...countValues("$specializations")],
+    partnerTypes: [
+      matchFacetFilters(facetFilters, "partnerType"),
+      { $match: { partnerType: { $ne: null } } },
+      { $group: { _id: "$partnerType", count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ],
+    ratingRanges: [matchFacetFilters(facetFilters, "rating"), { $group: { _id: null, ...ratingCounts } }],
+    priceRanges: [matchFacetFilters(facetFilters, "price"), { $group: { _id: null, ...priceCounts } }],
+  };
+}
+
+// Helper function: shape the facet output for the response
+function formatSearchFacets(result) {
+  const ratingCounts = result.ratingRanges[0] || {};
+  const priceCounts = result.priceRanges[0] || {};
+
+  return {
+    locations: result.locations,
+    specializations: result.specializations,
+    partnerTypes: result.partnerTypes,
+    ratingRanges: RATING_BUCKETS.map((bucket, index) => ({
+      _id: bucket.label,
+      minRating: bucket.minRating,
+      count: ratingCounts[`bucket${index}`] || 0,
+    })),
+    priceRanges: PRICE_BUCKETS.map((bucket, index) => ({
+      _id: bucket.label,
+      minPrice: bucket.minPrice,
+      maxPrice: bucket.maxPrice,
+      count: priceCounts[`bucket${index}`] || 0,
+    })),
+  };
+}
+
 module.exports = router;
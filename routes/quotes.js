@@ -0,0 +1,313 @@
+const express = require("express");
+const Quote = require("../models/Quote");
+const Partner = require("../models/Partner");
+const { verifyFirebaseToken } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const { loadLead } = require("../middleware/leadAccess");
+const { getEffectivePrice } = require("../utils/pricing");
+const notificationService = require("../utils/notificationService");
+const Joi = require("joi");
+
+// Mounted under /api/v1/leads/:leadId/quotes
+const router = express.Router({ mergeParams: true });
+
+// Validation schemas
+const createQuoteSchema = Joi.object({
+  lineItems: Joi.array()
+    .items(
+      Joi.object({
+        serviceId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).default(1),
+        description: Joi.string().max(500).optional(),
+      }),
+    )
+    .min(1)
+    .required(),
+  discounts: Joi.array()
+    .items(
+      Joi.object({
+        label: Joi.string().max(100).required(),
+        type: Joi.string().valid("percentage", "fixed").required(),
+        value: Joi.number().min(0).required(),
+      }),
+    )
+    .default([]),
+  taxes: Joi.array()
+    .items(
+      Joi.object({
+        label: Joi.string().max(100).required(),
+        rate: Joi.number().min(0).max(100).required(),
+      }),
+    )
+    .default([]),
+  currency: Joi.string().default("INR"),
+  validUntil: Joi.date().greater("now").required(),
+  terms: Joi.string().max(5000).optional(),
+  message: Joi.string().max(1000).optional(),
+});
+
+const respondQuoteSchema = Joi.object({
+  message: Joi.string().max(1000).optional(),
+});
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+router.use(loadLead);
+
+// Send a quote or a revised quote (lead's partner only)
+router.post("/", async (req, res) => {
+  try {
+    if (req.leadRole !== "partner") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the lead's partner can send quotes",
+      });
+    }
+
+    const { error, value } = createQuoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const { lead } = req;
+
+    if (!["new", "contacted"].includes(lead.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot send a quote for a ${lead.status} lead`,
+      });
+    }
+
+    const partner = await Partner.findOne({ userId: req.user.id, deletedAt: null });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner profile not found",
+      });
+    }
+
+    // Price each line item from the partner's catalogue for the lead's location
+    const lineItems = [];
+    for (const item of value.lineItems) {
+      const service = partner.services.find((entry) => entry.serviceId.toString() === item.serviceId);
+
+      if (!service) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          details: `Service ${item.serviceId} is not offered by this partner`,
+        });
+      }
+
+      lineItems.push({
+        serviceId: service.serviceId,
+        name: service.name,
+        description: item.description || service.description,
+        priceUnit: service.priceUnit,
+        basePrice: service.basePrice,
+        unitPrice: getEffectivePrice(service, partner, lead.location),
+        quantity: item.quantity,
+      });
+    }
+
+    const previousQuote = await Quote.findCurrent(lead._id);
+
+    if (previousQuote && previousQuote.status === "accepted") {
+      return res.status(400).json({
+        success: false,
+        message: "A quote for this lead has already been accepted",
+      });
+    }
+
+    const quote = new Quote({
+      ...value,
+      lineItems,
+      leadId: lead._id,
+      clientId: lead.clientId,
+      partnerId: lead.partnerId,
+      version: previousQuote ? previousQuote.version + 1 : 1,
+      previousQuoteId: previousQuote ? previousQuote._id : null,
+    });
+    await quote.save();
+
+    // Older revisions stay on record but can no longer be acted on
+    if (previousQuote && ["sent", "revision_requested"].includes(previousQuote.status)) {
+      previousQuote.status = "superseded";
+      await previousQuote.save();
+    }
+
+    // Sending a quote counts as contacting the client
+    if (lead.status === "new") {
+      await lead.updateStatus("contacted", req.user.id, { role: "partner" });
+    }
+
+    notificationService.notify(lead.clientId.toString(), {
+      type: "quote_received",
+      title: quote.version > 1 ? "Revised quote received" : "New quote received",
+      message: `You received a quote of ${quote.currency} ${quote.total}`,
+      data: {
+        leadId: lead._id,
+        quoteId: quote._id,
+        version: quote.version,
+      },
+      priority: "medium",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Quote sent successfully",
+      data: { quote },
+    });
+  } catch (error) {
+    console.error("Create quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to send quote",
+    });
+  }
+});
+
+// Get all quote revisions for a lead
+router.get("/", async (req, res) => {
+  try {
+    const quotes = await Quote.find({ leadId: req.lead._id }).sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        quotes,
+        currentQuote: quotes[0] || null,
+      },
+    });
+  } catch (error) {
+    console.error("Get quotes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quotes",
+    });
+  }
+});
+
+// Get single quote
+router.get("/:quoteId", async (req, res) => {
+  try {
+    const quote = await Quote.findOne({ _id: req.params.quoteId, leadId: req.lead._id });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: "Quote not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { quote },
+    });
+  } catch (error) {
+    console.error("Get quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch quote",
+    });
+  }
+});
+
+// Client responses: accept, reject or ask for a revision
+const responses = {
+  accept: { status: "accepted", message: "Quote accepted successfully" },
+  reject: { status: "rejected", message: "Quote rejected" },
+  "request-revision": { status: "revision_requested", message: "Revision requested" },
+};
+
+router.post("/:quoteId/:action(accept|reject|request-revision)", async (req, res) => {
+  try {
+    if (req.leadRole !== "client") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the lead's client can respond to quotes",
+      });
+    }
+
+    const { error, value } = respondQuoteSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const quote = await Quote.findOne({ _id: req.params.quoteId, leadId: req.lead._id });
+
+    if (!quote) {
+      return res.status(404).json({
+        success: false,
+        message: "Quote not found",
+      });
+    }
+
+    if (quote.status !== "sent") {
+      return res.status(400).json({
+        success: false,
+        message: `This quote is ${quote.status.replace("_", " ")} and can no longer be answered`,
+      });
+    }
+
+    const response = responses[req.params.action];
+
+    if (response.status === "accepted" && quote.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: "This quote has expired. Please request a revision.",
+      });
+    }
+
+    // Acceptance converts the lead, so the lead must still be able to move there
+    if (response.status === "accepted" && !req.lead.canTransition("converted", "system")) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot accept a quote on a ${req.lead.status} lead`,
+        details: { currentStatus: req.lead.status },
+      });
+    }
+
+    await quote.respond(response.status, value.message);
+
+    if (response.status === "accepted") {
+      await req.lead.updateStatus("converted", req.user.id, { role: "system" });
+    }
+
+    notificationService.notify(req.lead.partnerId.toString(), {
+      type: "quote_response",
+      title: `Quote ${response.status.replace("_", " ")}`,
+      message: value.message || `Your quote (v${quote.version}) was ${response.status.replace("_", " ")}`,
+      data: {
+        leadId: req.lead._id,
+        quoteId: quote._id,
+        status: quote.status,
+      },
+      priority: response.status === "accepted" ? "high" : "medium",
+    });
+
+    res.json({
+      success: true,
+      message: response.message,
+      data: { quote },
+    });
+  } catch (error) {
+    console.error("Respond to quote error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to respond to quote",
+    });
+  }
+});
+
+module.exports = router;
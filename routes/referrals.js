@@ -0,0 +1,302 @@
+const express = require("express");
+const Referral = require("../models/Referral");
+const Lead = require("../models/Lead");
+const Partner = require("../models/Partner");
+const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const notificationService = require("../utils/notificationService");
+const { createLead } = require("../utils/leadService");
+const Joi = require("joi");
+const mongoose = require("mongoose");
+
+const router = express.Router();
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+
+// Validation schemas
+const createReferralSchema = Joi.object({
+  leadId: Joi.string().hex().length(24).required(),
+  // The other partner's user ID
+  toPartnerId: Joi.string().hex().length(24).required(),
+  note: Joi.string().trim().max(500).optional(),
+});
+
+const respondReferralSchema = Joi.object({
+  decision: Joi.string().valid("accept", "decline").required(),
+});
+
+// Refer a lead the partner can't take to another verified partner
+router.post("/", authorize("partner"), async (req, res) => {
+  try {
+    const { error, value } = createReferralSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const { leadId, toPartnerId, note } = value;
+
+    if (toPartnerId === req.user.id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot refer a lead to yourself",
+      });
+    }
+
+    const lead = await Lead.findOne({
+      _id: leadId,
+      partnerId: req.user.id,
+      deletedAt: null,
+      "screening.quarantined": { $ne: true },
+    });
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    if (!["new", "contacted"].includes(lead.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "Only open leads can be referred",
+      });
+    }
+
+    const partner = await Partner.findOne({ userId: toPartnerId, verified: true, deletedAt: null });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found or not verified",
+      });
+    }
+
+    const pendingReferral = await Referral.exists({ leadId: lead._id, status: "pending" });
+
+    if (pendingReferral) {
+      return res.status(409).json({
+        success: false,
+        message: "This lead already has a referral awaiting the client's response",
+      });
+    }
+
+    const referral = new Referral({
+      leadId: lead._id,
+      clientId: lead.clientId,
+      referringPartnerId: req.user.id,
+      referredPartnerId: toPartnerId,
+      note,
+    });
+    await referral.save();
+
+    notificationService.notify(lead.clientId.toString(), {
+      type: "lead_referral",
+      title: "Partner recommendation",
+      message: `Your request was referred to ${partner.companyName}. Accept to send it to them.`,
+      data: {
+        referralId: referral._id,
+        leadId: lead._id,
+        partnerId: toPartnerId,
+        companyName: partner.companyName,
+        note,
+      },
+      priority: "medium",
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Referral sent to the client",
+      data: { referral },
+    });
+  } catch (error) {
+    console.error("Create referral error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create referral",
+    });
+  }
+});
+
+// List referrals: clients see theirs, partners see those they made or received
+router.get("/", async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, direction } = req.query;
+    const query = getReferralScope(req.user, direction);
+
+    if (status) query.status = status;
+
+    const [referrals, total] = await Promise.all([
+      Referral.find(query)
+        .populate("leadId", "message serviceType eventDate location status")
+        .populate("referringPartnerId", "username profilePic")
+        .populate("referredPartnerId", "username profilePic")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Referral.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        referrals,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get referrals error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch referrals",
+    });
+  }
+});
+
+// Client accepts (creating a lead for the referred partner) or declines a referral
+router.patch("/:referralId/respond", authorize("client"), async (req, res) => {
+  try {
+    const { error, value } = respondReferralSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.referralId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Referral not found",
+      });
+    }
+
+    const referral = await Referral.findOne({ _id: req.params.referralId, clientId: req.user.id });
+
+    if (!referral) {
+      return res.status(404).json({
+        success: false,
+        message: "Referral not found",
+      });
+    }
+
+    if (referral.status !== "pending") {
+      return res.status(409).json({
+        success: false,
+        message: `Referral has already been ${referral.status}`,
+      });
+    }
+
+    if (value.decision === "decline") {
+      referral.status = "declined";
+      referral.respondedAt = new Date();
+      await referral.save();
+
+      notificationService.notify(referral.referringPartnerId.toString(), {
+        type: "referral_declined",
+        title: "Referral declined",
+        message: "The client declined your referral; the lead stays with you",
+        data: { referralId: referral._id, leadId: referral.leadId },
+        priority: "low",
+      });
+
+      return res.json({
+        success: true,
+        message: "Referral declined",
+        data: { referral },
+      });
+    }
+
+    const lead = await Lead.findOne({ _id: referral.leadId, deletedAt: null });
+
+    if (!lead || !["new", "contacted"].includes(lead.status)) {
+      return res.status(409).json({
+        success: false,
+        message: "The original request is no longer open",
+      });
+    }
+
+    // Same availability check, auto-reply and notification as a direct lead. Screening is skipped:
+    // the client's original request already passed it, and accepting must work at the daily cap.
+    const { lead: referredLead, warnings } = await createLead(
+      lead.clientId,
+      {
+        partnerId: referral.referredPartnerId,
+        message: lead.message,
+        contactMethod: lead.contactMethod,
+        serviceType: lead.serviceType,
+        eventDate: lead.eventDate,
+        budget: lead.budget,
+        location: lead.location,
+        source: "partner_referral",
+        referralId: referral._id,
+      },
+      { notification: { referralId: referral._id, note: referral.note }, skipScreening: true },
+    );
+
+    // The referring partner handed the request on, so their lead is closed
+    await lead.updateStatus("closed", referral.referringPartnerId, {
+      role: "partner",
+      reason: "other",
+      note: "Referred to another partner",
+    });
+
+    referral.status = "accepted";
+    referral.respondedAt = new Date();
+    referral.referredLeadId = referredLead._id;
+    await referral.save();
+
+    notificationService.notify(referral.referringPartnerId.toString(), {
+      type: "referral_accepted",
+      title: "Referral accepted",
+      message: "The client accepted your referral",
+      data: { referralId: referral._id, leadId: lead._id },
+      priority: "low",
+    });
+
+    res.json({
+      success: true,
+      message: "Referral accepted",
+      data: { referral, lead: referredLead.toViewerJSON("client"), warnings },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        details: error.details,
+      });
+    }
+
+    console.error("Respond to referral error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to respond to referral",
+    });
+  }
+});
+
+// Helper function to limit referrals to those the user is part of.
+// Partners can narrow to direction=sent or direction=received.
+function getReferralScope(user, direction) {
+  if (user.userType === "admin") return {};
+  if (user.userType === "client") return { clientId: user.id };
+
+  if (direction === "sent") return { referringPartnerId: user.id };
+  if (direction === "received") return { referredPartnerId: user.id };
+  return { $or: [{ referringPartnerId: user.id }, { referredPartnerId: user.id }] };
+}
+
+module.exports = router;
@@ -0,0 +1,152 @@
+const express = require("express");
+const Review = require("../models/Review");
+const Lead = require("../models/Lead");
+const Partner = require("../models/Partner");
+const { verifyFirebaseToken, authorize } = require("../middleware/firebaseAuth");
+const { sanitizeInput } = require("../middleware/security");
+const Joi = require("joi");
+
+const router = express.Router();
+
+// Apply middleware
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken);
+
+// Validation schemas
+const createReviewSchema = Joi.object({
+  leadId: Joi.string().hex().length(24).required(),
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().max(120).optional(),
+  comment: Joi.string().trim().min(10).max(2000).required(),
+});
+
+// Post a review for a converted lead (clients only)
+router.post("/", authorize("client"), async (req, res) => {
+  try {
+    const { error, value } = createReviewSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        details: error.details[0].message,
+      });
+    }
+
+    const lead = await Lead.findById(value.leadId);
+
+    if (!lead || lead.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: "Lead not found",
+      });
+    }
+
+    // Only the client who owns the lead can review it
+    if (lead.clientId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied",
+      });
+    }
+
+    if (lead.status !== "converted") {
+      return res.status(400).json({
+        success: false,
+        message: "Only converted leads can be reviewed",
+      });
+    }
+
+    const existingReview = await Review.findOne({ leadId: lead._id });
+    if (existingReview) {
+      return res.status(409).json({
+        success: false,
+        message: "This lead has already been reviewed",
+      });
+    }
+
+    const partner = await Partner.findOne({ userId: lead.partnerId, deletedAt: null });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: "Partner not found",
+      });
+    }
+
+    const review = new Review({
+      ...value,
+      leadId: lead._id,
+      clientId: lead.clientId,
+      partnerId: lead.partnerId,
+    });
+    await review.save();
+
+    await partner.updateRating(review.rating);
+
+    await review.populate("clientId", "username profilePic");
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted successfully",
+      data: {
+        review,
+        partnerRating: {
+          avgRating: partner.avgRating,
+          totalReviews: partner.totalReviews,
+        },
+      },
+    });
+  } catch (error) {
+    // Lost the race against a concurrent submission for the same lead
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "This lead has already been reviewed",
+      });
+    }
+
+    console.error("Create review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to submit review",
+    });
+  }
+});
+
+// Get reviews written by the current client
+router.get("/me", authorize("client"), async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const query = { clientId: req.user.id, deletedAt: null };
+
+    const reviews = await Review.find(query)
+      .populate("partnerId", "username profilePic")
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          page: Number.parseInt(page),
+          limit: Number.parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get client reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reviews",
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const multer = require("multer");
 const sharp = require("sharp");
 const User = require("../models/User");
+const Partner = require("../models/Partner");
 const { verifyFirebaseToken, requireEmailVerification } = require("../middleware/firebaseAuth");
 const { sanitizeInput } = require("../middleware/security");
 
@@ -82,6 +83,11 @@ router.patch("/me", async (req, res) => {
       });
     }
 
+    // Partner search indexes the username
+    if (updates.username && user.userType === "partner") {
+      await Partner.refreshSearchFields({ userId: user._id });
+    }
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -0,0 +1,34 @@
+// One-off backfill of derived partner fields for partners saved before these features:
+// partnerLocations[].geo ("near me" search) and searchUsername/searchNgrams (text search).
+// Usage: npm run backfill:partners   (reads MONGODB_URI from .env)
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Partner = require("../models/Partner");
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Builds the 2dsphere and text indexes too, so search works as soon as this finishes
+  await Partner.createIndexes();
+
+  const cursor = Partner.find({}).cursor();
+
+  let updated = 0;
+  for await (const partner of cursor) {
+    // The pre-save hook derives geo from coordinates and rebuilds the search fields
+    partner.markModified("partnerLocations");
+    partner.searchUsername = null;
+    await partner.save({ validateBeforeSave: false });
+    updated += 1;
+  }
+
+  console.log(`Backfilled ${updated} partners`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Partner backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
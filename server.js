@@ -54,10 +54,17 @@ const partnerOnboardingRoutes = require("./routes/partnerOnboarding");
 const adminRoutes = require("./routes/admin");
 const adminSetupRoutes = require("./routes/adminSetup");
 const leadsRoutes = require("./routes/leads");
+const reviewRoutes = require("./routes/reviews");
+const bookingRoutes = require("./routes/bookings");
+const inquiryRoutes = require("./routes/inquiries");
+const referralRoutes = require("./routes/referrals");
+const quoteRoutes = require("./routes/quotes");
+const messageRoutes = require("./routes/messages");
 const publicRoutes = require("./routes/public"); // Add public routes
 const { errorHandler, notFound } = require("./middleware/errorHandler");
 const { securityHeaders } = require("./middleware/security");
 const notificationRoutes = require("./routes/notifications");
+const { startSlaScheduler } = require("./utils/leadSla");
 
 const app = express();
 
@@ -181,7 +188,13 @@ app.use("/api/v1/partners", partnerRoutes);
 app.use("/api/v1/partner-onboarding", partnerOnboardingRoutes);
 app.use("/api/v1/admin", adminRoutes);
 app.use("/api/v1/admin-setup", adminSetupRoutes);
+app.use("/api/v1/leads/:leadId/quotes", quoteRoutes);
+app.use("/api/v1/leads/:leadId/messages", messageRoutes);
 app.use("/api/v1/leads", leadsRoutes);
+app.use("/api/v1/reviews", reviewRoutes);
+app.use("/api/v1/bookings", bookingRoutes);
+app.use("/api/v1/inquiries", inquiryRoutes);
+app.use("/api/v1/referrals", referralRoutes);
 app.use("/api/v1/notifications", notificationRoutes);
 app.use("/api/v1/public", publicLimiter, publicRoutes); // Add public routes with higher rate limit
 
@@ -218,6 +231,9 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Firebase project: ${process.env.FIREBASE_PROJECT_ID}`);
+
+  // Remind and escalate on unanswered leads
+  startSlaScheduler();
 });
 
 module.exports = app;
@@ -0,0 +1,112 @@
+// Streams leads from a Mongoose cursor as CSV or XLSX, one row at a time.
+
+const { once } = require("events");
+const ExcelJS = require("exceljs");
+const Lead = require("../models/Lead");
+
+const EXPORT_COLUMNS = [
+  { header: "Lead ID", key: "id", width: 26 },
+  { header: "Created At", key: "createdAt", width: 22 },
+  { header: "Status", key: "status", width: 12 },
+  { header: "Priority", key: "priority", width: 10 },
+  { header: "Score", key: "score", width: 8 },
+  { header: "Source", key: "source", width: 14 },
+  { header: "Service Type", key: "serviceType", width: 20 },
+  { header: "Location", key: "location", width: 18 },
+  { header: "Event Date", key: "eventDate", width: 22 },
+  { header: "Budget Min", key: "budgetMin", width: 12 },
+  { header: "Budget Max", key: "budgetMax", width: 12 },
+  { header: "Currency", key: "currency", width: 10 },
+  { header: "Client Name", key: "clientName", width: 20 },
+  { header: "Client Email", key: "clientEmail", width: 28 },
+  { header: "Partner Name", key: "partnerName", width: 20 },
+  { header: "Partner Email", key: "partnerEmail", width: 28 },
+  { header: "Notes", key: "notesCount", width: 8 },
+  { header: "Response Time (hours)", key: "responseTime", width: 22 },
+  { header: "Conversion Time (days)", key: "conversionTime", width: 22 },
+  { header: "Close Reason", key: "closeReason", width: 18 },
+];
+
+// Only notes the exporting user could see in the app
+const countVisibleNotes = (lead, viewerRole) =>
+  lead.notes.filter((note) => !note.deletedAt && Lead.canViewNote(viewerRole, note.visibility || "shared")).length;
+
+// Expects clientId and partnerId populated with username and email
+const toRow = (lead, viewerRole) => ({
+  id: lead._id.toString(),
+  createdAt: lead.createdAt,
+  status: lead.status,
+  priority: lead.priority,
+  score: lead.score,
+  source: lead.source,
+  serviceType: lead.serviceType,
+  location: lead.location,
+  eventDate: lead.eventDate,
+  budgetMin: lead.budget?.min,
+  budgetMax: lead.budget?.max,
+  currency: lead.budget?.currency,
+  clientName: lead.clientId?.username,
+  clientEmail: lead.clientId?.email,
+  partnerName: lead.partnerId?.username,
+  partnerEmail: lead.partnerId?.email,
+  notesCount: countVisibleNotes(lead, viewerRole),
+  responseTime: lead.responseTime,
+  conversionTime: lead.conversionTime,
+  closeReason: lead.closeReason,
+});
+
+// Quote CSV values when needed and neutralise spreadsheet formulas
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value !== "string") return String(value);
+
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, (quote) => quote + quote)}"` : text;
+};
+
+const writeCsvLine = async (res, values) => {
+  // Respect backpressure so slow clients don't buffer the whole export in memory
+  if (!res.write(`${values.map(toCsvValue).join(",")}\r\n`)) {
+    await once(res, "drain");
+  }
+};
+
+const streamLeadExport = async (res, cursor, options) => {
+  const { format, filename, viewerRole } = options;
+
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}.xlsx"`);
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet("Leads");
+    sheet.columns = EXPORT_COLUMNS;
+
+    for await (const lead of cursor) {
+      sheet.addRow(toRow(lead, viewerRole)).commit();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return;
+  }
+
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}.csv"`);
+
+  const headers = EXPORT_COLUMNS.map((column) => column.header);
+  await writeCsvLine(res, headers);
+
+  for await (const lead of cursor) {
+    const row = toRow(lead, viewerRole);
+    const values = EXPORT_COLUMNS.map((column) => row[column.key]);
+    await writeCsvLine(res, values);
+  }
+
+  res.end();
+};
+
+module.exports = {
+  streamLeadExport,
+};
@@ -0,0 +1,59 @@
+// Query building shared by lead listings and exports so both honour the same filters.
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { escapeRegex } = require("./textSearch");
+
+// Searches shorter than this only match the lead's own text, not client/partner names
+const MIN_USER_SEARCH_LENGTH = 3;
+// Most matching users whose leads are included
+const USER_SEARCH_LIMIT = 100;
+
+// Mongo query for the status, source, priority, date range and search filters.
+// `scope` (e.g. { partnerId }) is applied last so filters can never widen it.
+// Values are cast so the query also works as an aggregation $match.
+const buildLeadQuery = async (filters, scope = {}) => {
+  const { status, source, priority, startDate, endDate, search } = filters;
+  const query = { deletedAt: null };
+
+  if (status) query.status = status;
+  if (source) query.source = source;
+  if (priority) query.priority = priority;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+  if (search) {
+    const term = String(search).trim();
+    const pattern = new RegExp(escapeRegex(term), "i");
+
+    let userIds = [];
+    if (term.length >= MIN_USER_SEARCH_LENGTH) {
+      const users = await User.find({ $or: [{ username: pattern }, { email: pattern }] })
+        .select("_id")
+        .limit(USER_SEARCH_LIMIT);
+      userIds = users.map((user) => user._id);
+    }
+
+    query.$or = [
+      { clientId: { $in: userIds } },
+      { partnerId: { $in: userIds } },
+      { message: pattern },
+      { serviceType: pattern },
+      { location: pattern },
+    ];
+  }
+
+  Object.entries(scope).forEach(([field, value]) => {
+    query[field] = mongoose.Types.ObjectId.isValid(value) ? new mongoose.Types.ObjectId(value) : value;
+  });
+
+  return query;
+};
+
+module.exports = {
+  buildLeadQuery,
+};
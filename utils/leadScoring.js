@@ -0,0 +1,134 @@
+// Lead priority scoring. Each factor contributes up to its weight; the total (0-100)
+// maps to a priority unless the priority was set by hand.
+//   budget         budget.max against the partner's cheapest matching service for the location
+//   urgency        how soon the event is
+//   completeness   how much of the inquiry the client filled in
+//   clientHistory  the client's past conversions
+//   source         how the lead reached the partner
+
+const Partner = require("../models/Partner");
+const { getEffectivePrice } = require("./pricing");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalize = (value) => (value || "").toString().trim().toLowerCase();
+
+const FACTOR_WEIGHTS = {
+  budget: 30,
+  urgency: 25,
+  completeness: 15,
+  clientHistory: 20,
+  source: 10,
+};
+
+const SOURCE_POINTS = {
+  partner_referral: 10,
+  referral: 10,
+  direct: 8,
+  website: 6,
+  social_media: 5,
+  advertisement: 4,
+};
+
+// Lowest score for each priority, highest first
+const PRIORITY_THRESHOLDS = [
+  { priority: "urgent", minScore: 75 },
+  { priority: "high", minScore: 55 },
+  { priority: "medium", minScore: 30 },
+  { priority: "low", minScore: 0 },
+];
+
+const scoreBudget = (lead, partner) => {
+  const max = lead.budget?.max;
+  if (max === undefined || max === null) return 10; // unknown budget: neither good nor bad
+  if (!partner || partner.services.length === 0) return 15;
+
+  // Prefer services named like the requested service type, otherwise consider all of them
+  const serviceType = normalize(lead.serviceType);
+  const matching = partner.services.filter((service) => serviceType && normalize(service.name).includes(serviceType));
+  const services = matching.length > 0 ? matching : partner.services;
+  const cheapest = Math.min(...services.map((service) => getEffectivePrice(service, partner, lead.location)));
+
+  if (max >= cheapest) return FACTOR_WEIGHTS.budget;
+  if (max >= cheapest * 0.75) return 15;
+  return 0;
+};
+
+const scoreUrgency = (lead, now) => {
+  if (!lead.eventDate) return 5;
+
+  const daysAway = (new Date(lead.eventDate).getTime() - now) / DAY_MS;
+  if (daysAway < 0) return 0;
+  if (daysAway <= 7) return FACTOR_WEIGHTS.urgency;
+  if (daysAway <= 30) return 18;
+  if (daysAway <= 90) return 10;
+  return 5;
+};
+
+const scoreCompleteness = (lead) => {
+  const checks = [
+    Boolean(lead.serviceType),
+    Boolean(lead.eventDate),
+    lead.budget?.min !== undefined || lead.budget?.max !== undefined,
+    Boolean(lead.location),
+    (lead.message || "").length >= 50,
+  ];
+  return Math.round((checks.filter(Boolean).length / checks.length) * FACTOR_WEIGHTS.completeness);
+};
+
+const scoreClientHistory = (conversions) => {
+  if (conversions >= 2) return FACTOR_WEIGHTS.clientHistory;
+  if (conversions === 1) return 15;
+  return 5;
+};
+
+const priorityForScore = (score) => PRIORITY_THRESHOLDS.find((threshold) => score >= threshold.minScore).priority;
+
+// Score a lead from already loaded inputs. Returns { score, factors, priority }.
+const calculateLeadScore = (lead, context = {}) => {
+  const { partner = null, conversions = 0, now = Date.now() } = context;
+
+  const factors = {
+    budget: scoreBudget(lead, partner),
+    urgency: scoreUrgency(lead, now),
+    completeness: scoreCompleteness(lead),
+    clientHistory: scoreClientHistory(conversions),
+    source: SOURCE_POINTS[lead.source] || 0,
+  };
+  const score = Object.values(factors).reduce((total, points) => total + points, 0);
+
+  return { score, factors, priority: priorityForScore(score) };
+};
+
+// Load the partner and client history, then store the score on the (unsaved) lead
+const applyLeadScore = async (lead) => {
+  const [partner, conversions] = await Promise.all([
+    Partner.findOne({ userId: lead.partnerId }).select("services locationPricing"),
+    lead.constructor.countDocuments({
+      clientId: lead.clientId,
+      status: "converted",
+      deletedAt: null,
+      _id: { $ne: lead._id },
+    }),
+  ]);
+
+  const { score, factors, priority } = calculateLeadScore(lead, { partner, conversions });
+
+  lead.score = score;
+  lead.scoreFactors = factors;
+  lead.scoredAt = new Date();
+
+  // Hand-set and SLA-escalated priorities are left alone
+  if (!lead.priorityManual && !lead.sla?.escalatedAt) {
+    lead.priority = priority;
+  }
+
+  return lead;
+};
+
+module.exports = {
+  FACTOR_WEIGHTS,
+  calculateLeadScore,
+  applyLeadScore,
+  priorityForScore,
+};
@@ -0,0 +1,108 @@
+// Lead screening at creation: duplicate detection, per-client daily caps and spam scoring.
+//   LEAD_DUPLICATE_WINDOW_HOURS   how far back to look for duplicates (default 24)
+//   LEAD_DUPLICATE_SIMILARITY     word overlap (0-1) that counts as the same message (default 0.8)
+//   LEAD_DAILY_CAP                leads a client may send in 24 hours (default 20)
+//   LEAD_SPAM_THRESHOLD           spam score (0-100) at which a lead is quarantined (default 50)
+
+const Lead = require("../models/Lead");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const numberFromEnv = (name, fallback) => {
+  const parsed = Number.parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const getScreeningConfig = () => ({
+  duplicateWindowHours: numberFromEnv("LEAD_DUPLICATE_WINDOW_HOURS", 24),
+  duplicateSimilarity: numberFromEnv("LEAD_DUPLICATE_SIMILARITY", 0.8),
+  dailyCap: numberFromEnv("LEAD_DAILY_CAP", 20),
+  spamThreshold: numberFromEnv("LEAD_SPAM_THRESHOLD", 50),
+});
+
+const tokenize = (text) => (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Jaccard overlap of the two messages' word sets
+const messageSimilarity = (a, b) => {
+  const wordsA = new Set(tokenize(a));
+  const wordsB = new Set(tokenize(b));
+  if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+  const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+  return shared / (wordsA.size + wordsB.size - shared);
+};
+
+// Score a message from 0 to 100 and name the signals that contributed
+const scoreSpam = (message) => {
+  const signals = [];
+  let score = 0;
+  const words = tokenize(message);
+
+  const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links > 1 ? 40 : 20;
+    signals.push("links");
+  }
+
+  // One word making up much of the message, or long runs of the same character
+  const counts = {};
+  words.forEach((word) => {
+    counts[word] = (counts[word] || 0) + 1;
+  });
+  const topShare = words.length > 0 ? Math.max(...Object.values(counts)) / words.length : 0;
+  if ((words.length >= 5 && topShare > 0.3) || /(.)\1{5,}/.test(message)) {
+    score += 30;
+    signals.push("repeated_text");
+  }
+
+  // Latin-script words without vowels or with long consonant runs
+  const latinWords = words.filter((word) => /^[a-z]{4,}$/.test(word));
+  const gibberish = latinWords.filter((word) => !/[aeiouy]/.test(word) || /[bcdfghjklmnpqrstvwxz]{5,}/.test(word));
+  const gibberishShare = latinWords.length > 0 ? gibberish.length / latinWords.length : 0;
+  if (gibberishShare > 0.3) {
+    score += gibberishShare > 0.6 ? 50 : 30;
+    signals.push("gibberish");
+  }
+
+  const letters = message.replace(/[^a-zA-Z]/g, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    score += 10;
+    signals.push("excessive_caps");
+  }
+
+  return { score: Math.min(score, 100), signals };
+};
+
+// Returns { duplicateOf, dailyCapReached, spamScore, signals, quarantine }
+const screenLead = async (clientId, partnerId, message) => {
+  const config = getScreeningConfig();
+  const now = Date.now();
+
+  const [recentLeads, leadsToday] = await Promise.all([
+    Lead.find({
+      clientId,
+      partnerId,
+      deletedAt: null,
+      createdAt: { $gte: new Date(now - config.duplicateWindowHours * HOUR_MS) },
+    }).select("message"),
+    Lead.countDocuments({ clientId, createdAt: { $gte: new Date(now - 24 * HOUR_MS) } }),
+  ]);
+
+  const duplicate = recentLeads.find((lead) => messageSimilarity(lead.message, message) >= config.duplicateSimilarity);
+  const { score, signals } = scoreSpam(message);
+
+  return {
+    duplicateOf: duplicate ? duplicate._id : null,
+    dailyCapReached: leadsToday >= config.dailyCap,
+    spamScore: score,
+    signals,
+    quarantine: score >= config.spamThreshold,
+  };
+};
+
+module.exports = {
+  getScreeningConfig,
+  messageSimilarity,
+  scoreSpam,
+  screenLead,
+};
@@ -0,0 +1,139 @@
+// Lead creation and partner matching shared by direct leads and multi-partner inquiries.
+
+const Lead = require("../models/Lead");
+const Partner = require("../models/Partner");
+const Availability = require("../models/Availability");
+const { getEffectivePrice } = require("./pricing");
+const { escapeRegex } = require("./textSearch");
+const { screenLead } = require("./leadScreening");
+const { addAutoReply } = require("./replyTemplates");
+const notificationService = require("./notificationService");
+
+const leadError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const NOT_SCREENED = { duplicateOf: null, dailyCapReached: false, spamScore: 0, signals: [], quarantine: false };
+
+// Case-insensitive whole-value match for array fields like specializations
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, "i");
+
+// Create a lead for a verified partner (data.partnerId is the partner's user ID),
+// after duplicate, daily cap and spam screening and the partner's date conflict policy.
+// Resolves to { lead, warnings }; rejects with an error carrying statusCode 404/409/429
+// when the lead cannot be created. Spam-like leads are created but quarantined.
+// Options:
+//   notification    fields added to the partner's new-lead notification data
+//   skipScreening   skip duplicate, daily cap and spam screening, for leads that repeat
+//                   a request the client already made (e.g. an accepted referral)
+const createLead = async (clientId, data, options = {}) => {
+  const { notification = {}, skipScreening = false } = options;
+
+  const partner = await Partner.findOne({
+    userId: data.partnerId,
+    verified: true,
+    deletedAt: null,
+  });
+
+  if (!partner) {
+    throw leadError(404, "Partner not found or not verified");
+  }
+
+  const screening = skipScreening ? NOT_SCREENED : await screenLead(clientId, data.partnerId, data.message);
+
+  if (screening.duplicateOf) {
+    throw leadError(409, "You already sent this partner a similar request recently", {
+      leadId: screening.duplicateOf,
+    });
+  }
+
+  if (screening.dailyCapReached) {
+    throw leadError(429, "Daily lead limit reached. Please try again tomorrow.");
+  }
+
+  // Check the partner's calendar for the requested event date
+  const warnings = [];
+  if (data.eventDate) {
+    const dayStatus = await Availability.getDayStatus(data.partnerId, data.eventDate);
+
+    if (!dayStatus.available) {
+      if (dayStatus.conflictPolicy === "reject") {
+        throw leadError(409, "Partner is not available on the requested date", {
+          date: dayStatus.date,
+          reason: dayStatus.reason,
+        });
+      }
+
+      warnings.push(`Partner may not be available on ${dayStatus.date} (${dayStatus.reason})`);
+    }
+  }
+
+  const lead = new Lead({
+    ...data,
+    clientId,
+    screening: {
+      spamScore: screening.spamScore,
+      signals: screening.signals,
+      quarantined: screening.quarantine,
+      quarantinedAt: screening.quarantine ? new Date() : null,
+    },
+  });
+
+  // Quarantined leads haven't reached the partner, so nothing is sent on their behalf
+  if (!screening.quarantine) {
+    await addAutoReply(lead, partner);
+  }
+
+  await lead.save();
+
+  if (!screening.quarantine) {
+    await notificationService.newLead(lead, notification);
+  } else {
+    await notificationService.notifyAdmins(
+      {
+        type: "lead_quarantined",
+        title: "Lead Quarantined",
+        message: `A lead was held for review (spam score ${screening.spamScore})`,
+        data: { leadId: lead._id, signals: screening.signals },
+        priority: "medium",
+      },
+      "managePartners",
+    );
+  }
+
+  return { lead, warnings };
+};
+
+// Verified partners offering the service type in the location, free on the event date,
+// with at least one service priced (for that location) within the budget. Best rated first.
+const findMatchingPartners = async (criteria, limit) => {
+  const { serviceType, location, budget, eventDate } = criteria;
+
+  const query = {
+    verified: true,
+    deletedAt: null,
+    specializations: exactMatch(serviceType),
+    servingLocations: exactMatch(location),
+  };
+
+  if (eventDate) {
+    query.userId = { $nin: await Availability.findUnavailablePartnerIds(eventDate) };
+  }
+
+  const partners = await Partner.find(query).sort({ avgRating: -1, totalReviews: -1 });
+
+  const withinBudget = (partner) =>
+    !budget ||
+    budget.max === undefined ||
+    partner.services.some((service) => getEffectivePrice(service, partner, location) <= budget.max);
+
+  return partners.filter(withinBudget).slice(0, limit);
+};
+
+module.exports = {
+  createLead,
+  findMatchingPartners,
+};
@@ -0,0 +1,168 @@
+// Lead response SLA: reminds partners about untouched new leads, then escalates.
+//   LEAD_SLA_REMINDER_HOURS     hours before the partner is reminded (default 24)
+//   LEAD_SLA_ESCALATION_HOURS   hours before priority is raised, admins are notified
+//                               and the lead is recorded as an SLA breach (default 48)
+//   LEAD_SLA_CHECK_MINUTES      how often the scheduler runs (default 15)
+//   LEAD_SLA_SINCE              ISO date; leads whose response clock started earlier are
+//                               ignored, so a first deploy doesn't escalate historical leads
+//   LEAD_SLA_ENABLED=false      disables the scheduler
+
+const mongoose = require("mongoose");
+const Lead = require("../models/Lead");
+const notificationService = require("./notificationService");
+
+const HOUR_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 100;
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const numberFromEnv = (name, fallback) => {
+  const parsed = Number.parseFloat(process.env[name]);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const dateFromEnv = (name) => {
+  const date = new Date(process.env[name]);
+  return process.env[name] && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const getSlaConfig = () => ({
+  reminderHours: numberFromEnv("LEAD_SLA_REMINDER_HOURS", 24),
+  escalationHours: numberFromEnv("LEAD_SLA_ESCALATION_HOURS", 48),
+  checkMinutes: numberFromEnv("LEAD_SLA_CHECK_MINUTES", 15),
+  since: dateFromEnv("LEAD_SLA_SINCE"),
+});
+
+const raisePriority = (priority) => PRIORITIES[Math.min(PRIORITIES.indexOf(priority) + 1, PRIORITIES.length - 1)];
+
+// Leads whose response clock (sla.startedAt, else createdAt) started before the cutoff,
+// and not before `since` when given
+const responseWindowEndedBefore = (cutoff, since = null) => {
+  const started = since ? { $gte: since, $lte: cutoff } : { $lte: cutoff };
+  return { $or: [{ "sla.startedAt": started }, { "sla.startedAt": null, createdAt: started }] };
+};
+
+// Each step claims the lead with a conditional update so that several
+// instances running the scheduler never act on the same lead twice
+const sendReminders = async (config, now) => {
+  const cutoff = new Date(now.getTime() - config.reminderHours * HOUR_MS);
+  const leads = await Lead.find({
+    status: "new",
+    deletedAt: null,
+    ...responseWindowEndedBefore(cutoff, config.since),
+    "sla.remindedAt": null,
+    "screening.quarantined": { $ne: true },
+  })
+    .select("_id")
+    .limit(BATCH_SIZE);
+
+  let reminded = 0;
+  for (const { _id } of leads) {
+    const lead = await Lead.findOneAndUpdate(
+      { _id, status: "new", "sla.remindedAt": null },
+      { $set: { "sla.remindedAt": now } },
+      { new: true },
+    );
+    if (!lead) continue;
+
+    await notificationService.notify(lead.partnerId, {
+      type: "lead_sla_reminder",
+      title: "Lead awaiting your response",
+      message: `A lead has been waiting for more than ${config.reminderHours} hours`,
+      data: { leadId: lead._id, createdAt: lead.createdAt },
+      priority: "medium",
+    });
+    reminded += 1;
+  }
+
+  return reminded;
+};
+
+const escalateBreaches = async (config, now) => {
+  const cutoff = new Date(now.getTime() - config.escalationHours * HOUR_MS);
+  const leads = await Lead.find({
+    status: "new",
+    deletedAt: null,
+    ...responseWindowEndedBefore(cutoff, config.since),
+    "sla.escalatedAt": null,
+    "screening.quarantined": { $ne: true },
+  })
+    .select("_id")
+    .limit(BATCH_SIZE);
+
+  let escalated = 0;
+  for (const { _id } of leads) {
+    const lead = await Lead.findOneAndUpdate(
+      { _id, status: "new", "sla.escalatedAt": null },
+      { $set: { "sla.escalatedAt": now, "sla.breached": true, "sla.breachedAt": now } },
+      { new: true },
+    );
+    if (!lead) continue;
+
+    lead.priority = raisePriority(lead.priority);
+    lead.notes.push({
+      note: `Response SLA breached; priority raised to ${lead.priority}`,
+      addedAt: now,
+      visibility: "partner",
+      system: true,
+    });
+    await lead.save();
+
+    const notification = {
+      type: "lead_sla_breach",
+      title: "Lead response overdue",
+      message: `A lead has gone unanswered for more than ${config.escalationHours} hours`,
+      data: { leadId: lead._id, partnerId: lead.partnerId, priority: lead.priority },
+      priority: "high",
+    };
+
+    await notificationService.notify(lead.partnerId, notification);
+    await notificationService.notifyAdmins(notification, "managePartners");
+    escalated += 1;
+  }
+
+  return escalated;
+};
+
+const runSlaCheck = async (now = new Date()) => {
+  const config = getSlaConfig();
+  const reminded = await sendReminders(config, now);
+  const escalated = await escalateBreaches(config, now);
+  return { reminded, escalated };
+};
+
+const startSlaScheduler = () => {
+  if (process.env.LEAD_SLA_ENABLED === "false") return null;
+
+  const { checkMinutes } = getSlaConfig();
+  let running = false;
+
+  const tick = async () => {
+    // Skip while disconnected or while the previous run is still going
+    if (running || mongoose.connection.readyState !== 1) return;
+
+    running = true;
+    try {
+      const { reminded, escalated } = await runSlaCheck();
+      if (reminded || escalated) {
+        console.log(`Lead SLA check: ${reminded} reminded, ${escalated} escalated`);
+      }
+    } catch (error) {
+      console.error("Lead SLA check error:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // At least a minute apart, even when configured lower
+  const timer = setInterval(tick, Math.max(checkMinutes, 1) * 60 * 1000);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getSlaConfig,
+  responseWindowEndedBefore,
+  runSlaCheck,
+  startSlaScheduler,
+};
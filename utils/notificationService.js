@@ -1,23 +1,34 @@
 const Partner = require("../models/Partner");
+const Admin = require("../models/Admin");
+const Notification = require("../models/Notification");
 const { sendDocumentStatusEmail } = require("./emailService");
+const { createTransport } = require("./notificationTransport");
 
 class NotificationService {
-  constructor() {
-    this.subscribers = new Map(); // In production, use Redis or WebSocket server
+  constructor(transport = createTransport()) {
+    // SSE callbacks connected to this instance
+    this.subscribers = new Map();
+
+    // Events travel through the transport so instances deliver each other's notifications
+    this.transport = transport;
+    this.transport.onMessage(({ userId, payload }) => this.deliver(userId, payload));
   }
 
   // Subscribe to notifications
+  // User IDs are keyed as strings so ObjectIds and their string form resolve to the same subscriber
   subscribe(userId, callback) {
-    if (!this.subscribers.has(userId)) {
-      this.subscribers.set(userId, []);
+    const key = userId.toString();
+    if (!this.subscribers.has(key)) {
+      this.subscribers.set(key, []);
     }
-    this.subscribers.get(userId).push(callback);
+    this.subscribers.get(key).push(callback);
   }
 
   // Unsubscribe from notifications
   unsubscribe(userId, callback) {
-    if (this.subscribers.has(userId)) {
-      const callbacks = this.subscribers.get(userId);
+    const key = userId.toString();
+    if (this.subscribers.has(key)) {
+      const callbacks = this.subscribers.get(key);
       const index = callbacks.indexOf(callback);
       if (index > -1) {
         callbacks.splice(index, 1);
@@ -25,13 +36,21 @@ class NotificationService {
     }
   }
 
-  // Send notification to specific user
-  notify(userId, notification) {
-    if (this.subscribers.has(userId)) {
-      const callbacks = this.subscribers.get(userId);
+  // Send a payload to the user's live connections on every instance (not stored)
+  push(userId, payload) {
+    this.transport.publish(userId.toString(), payload).catch((error) => {
+      console.error("Notification publish error:", error);
+    });
+  }
+
+  // Run the callbacks of the user's connections on this instance
+  deliver(userId, payload) {
+    const key = userId.toString();
+    if (this.subscribers.has(key)) {
+      const callbacks = this.subscribers.get(key);
       callbacks.forEach((callback) => {
         try {
-          callback(notification);
+          callback(payload);
         } catch (error) {
           console.error("Notification callback error:", error);
         }
@@ -39,20 +58,38 @@ class NotificationService {
     }
   }
 
-  // Send notification to all admins
-  notifyAdmins(notification) {
-    // In production, query admin users from database
-    // For now, we'll use a simple approach
-    this.subscribers.forEach((callbacks, _userId) => {
-      // Check if user is admin (you'd query this from database)
-      callbacks.forEach((callback) => {
-        try {
-          callback(notification);
-        } catch (error) {
-          console.error("Admin notification callback error:", error);
-        }
-      });
-    });
+  // Send notification to specific user: stored in their inbox, then pushed live
+  async notify(userId, notification) {
+    try {
+      const stored = await Notification.create({ ...notification, userId });
+      this.push(userId, stored.toPayload());
+      return stored;
+    } catch (error) {
+      // Still deliver live if the inbox write fails
+      console.error("Store notification error:", error);
+      this.push(userId, notification);
+      return null;
+    }
+  }
+
+  // Send notification to active admins holding the given permission (e.g. "managePartners")
+  async notifyAdmins(notification, permission) {
+    try {
+      const adminUserIds = await Admin.findNotificationRecipients({ permission });
+      await Promise.all(adminUserIds.map((userId) => this.notify(userId, notification)));
+    } catch (error) {
+      console.error("Admin notification error:", error);
+    }
+  }
+
+  // Send a system-level event to super admins who subscribed to them
+  async notifySystemEvent(notification) {
+    try {
+      const adminUserIds = await Admin.findNotificationRecipients({ systemEvents: true });
+      await Promise.all(adminUserIds.map((userId) => this.notify(userId, { priority: "low", ...notification })));
+    } catch (error) {
+      console.error("System event notification error:", error);
+    }
   }
 
   // Partner submitted for verification
@@ -73,7 +110,7 @@ class NotificationService {
         priority: "high",
       };
 
-      this.notifyAdmins(notification);
+      await this.notifyAdmins(notification, "managePartners");
     } catch (error) {
       console.error("Partner verification notification error:", error);
     }
@@ -101,7 +138,7 @@ class NotificationService {
         priority: status === "rejected" ? "high" : "medium",
       };
 
-      this.notify(partner.userId._id.toString(), partnerNotification);
+      await this.notify(partner.userId._id, partnerNotification);
 
       // Send email notification
       await sendDocumentStatusEmail(partner.userId.email, partner.userId.username, {
@@ -135,7 +172,7 @@ class NotificationService {
         priority: "high",
       };
 
-      this.notify(partner.userId._id.toString(), notification);
+      await this.notify(partner.userId._id, notification);
 
       // Notify admins about verification completion
       if (status === "verified") {
@@ -152,12 +189,64 @@ class NotificationService {
           priority: "low",
         };
 
-        this.notifyAdmins(adminNotification);
+        await this.notifyAdmins(adminNotification, "managePartners");
       }
     } catch (error) {
       console.error("Partner verification status notification error:", error);
     }
   }
+
+  // New lead reaching a partner (at creation, or on release from spam quarantine)
+  async newLead(lead, data = {}) {
+    try {
+      await this.notify(lead.partnerId, {
+        type: "lead_assigned",
+        title: "New Lead",
+        message: `You have a new ${lead.serviceType || "service"} request`,
+        data: { ...data, leadId: lead._id, serviceType: lead.serviceType, eventDate: lead.eventDate },
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("New lead notification error:", error);
+    }
+  }
+
+  // Lead moved to another partner by an admin
+  async leadReassigned(lead, fromPartnerId, data = {}) {
+    try {
+      const leadData = {
+        leadId: lead._id,
+        serviceType: lead.serviceType,
+        reason: data.reason,
+      };
+
+      await this.notify(lead.partnerId, {
+        type: "lead_assigned",
+        title: "New Lead Assigned",
+        message: `A ${lead.serviceType || "new"} lead has been assigned to you`,
+        data: leadData,
+        priority: "high",
+      });
+
+      await this.notify(fromPartnerId, {
+        type: "lead_reassigned",
+        title: "Lead Reassigned",
+        message: "One of your leads has been reassigned to another partner",
+        data: leadData,
+        priority: "medium",
+      });
+
+      await this.notify(lead.clientId, {
+        type: "lead_partner_changed",
+        title: "Your Request Has a New Partner",
+        message: "Your request has been transferred to another partner who will get in touch with you",
+        data: { ...leadData, partnerId: lead.partnerId },
+        priority: "medium",
+      });
+    } catch (error) {
+      console.error("Lead reassignment notification error:", error);
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,24 @@
+const MemoryTransport = require("./memoryTransport");
+const MongoTransport = require("./mongoTransport");
+
+const drivers = {
+  memory: () => new MemoryTransport(),
+  mongodb: () =>
+    new MongoTransport({
+      collectionName: process.env.NOTIFICATION_EVENTS_COLLECTION,
+      size: Number.parseInt(process.env.NOTIFICATION_EVENTS_SIZE) || undefined,
+    }),
+};
+
+// Pick the pub/sub driver from NOTIFICATION_TRANSPORT (memory | mongodb)
+const createTransport = (name = process.env.NOTIFICATION_TRANSPORT || "memory") => {
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown notification transport "${name}". Use one of: ${Object.keys(drivers).join(", ")}`);
+  }
+
+  return driver();
+};
+
+module.exports = { createTransport };
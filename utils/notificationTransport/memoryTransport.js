@@ -0,0 +1,23 @@
+const { EventEmitter } = require("events");
+
+// Single-process transport: events only reach subscribers connected to this instance
+class MemoryTransport {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+  }
+
+  async publish(userId, payload) {
+    this.emitter.emit("message", { userId, payload });
+  }
+
+  onMessage(handler) {
+    this.emitter.on("message", handler);
+  }
+
+  async close() {
+    this.emitter.removeAllListeners();
+  }
+}
+
+module.exports = MemoryTransport;
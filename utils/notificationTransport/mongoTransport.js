@@ -0,0 +1,114 @@
+const { EventEmitter } = require("events");
+const mongoose = require("mongoose");
+
+const DEFAULT_COLLECTION = "notification_events";
+const DEFAULT_SIZE = 16 * 1024 * 1024; // bytes
+const RETRY_DELAY = 1000; // ms
+// How far back a reopened cursor looks. Instances stamp createdAt with their own clocks
+// and insert in any _id order, so resuming after the last seen event could miss one
+// written meanwhile by another instance; re-reading the window and skipping events
+// already delivered covers insertion lag and clock skew up to this long.
+const RESUME_WINDOW = 60 * 1000; // ms
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Multi-instance transport: every instance publishes into a capped collection and
+// tails it, so SSE clients on any instance receive every event
+class MongoTransport {
+  constructor(options = {}) {
+    this.collectionName = options.collectionName || DEFAULT_COLLECTION;
+    this.size = options.size || DEFAULT_SIZE;
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.collection = null;
+    this.cursor = null;
+    this.closed = false;
+
+    this.ready = this.waitForConnection().then(() => this.ensureCollection());
+    this.ready.then(() => this.tail()).catch((error) => console.error("Notification transport error:", error));
+  }
+
+  waitForConnection() {
+    if (mongoose.connection.readyState === 1) return Promise.resolve();
+    return new Promise((resolve) => mongoose.connection.once("open", resolve));
+  }
+
+  async ensureCollection() {
+    const { db } = mongoose.connection;
+    const existing = await db.listCollections({ name: this.collectionName }).toArray();
+
+    if (existing.length === 0) {
+      try {
+        await db.createCollection(this.collectionName, { capped: true, size: this.size });
+      } catch (error) {
+        // Another instance created it first
+        if (error.codeName !== "NamespaceExists") throw error;
+      }
+    }
+
+    this.collection = db.collection(this.collectionName);
+  }
+
+  // Follow the collection from its current end; reopen the cursor when it dies
+  // (a tailable cursor on an empty capped collection closes immediately)
+  async tail() {
+    const latest = await this.collection.find().sort({ $natural: -1 }).limit(1).next();
+    let since = latest ? latest.createdAt.getTime() - RESUME_WINDOW : null;
+    // Event IDs inside the window that were already delivered (or predate startup)
+    const seen = new Map();
+
+    if (since !== null) {
+      const existing = await this.collection.find({ createdAt: { $gte: new Date(since) } }).project({ createdAt: 1 });
+      for await (const event of existing) seen.set(event._id.toString(), event.createdAt.getTime());
+    }
+
+    while (!this.closed) {
+      this.cursor = this.collection.find(since !== null ? { createdAt: { $gte: new Date(since) } } : {}, {
+        tailable: true,
+        awaitData: true,
+      });
+
+      try {
+        for await (const event of this.cursor) {
+          const id = event._id.toString();
+          if (seen.has(id)) continue;
+
+          const createdAt = event.createdAt.getTime();
+          seen.set(id, createdAt);
+          since = Math.max(since ?? 0, createdAt - RESUME_WINDOW);
+          for (const [seenId, seenAt] of seen) {
+            if (seenAt < since) seen.delete(seenId);
+          }
+
+          this.emitter.emit("message", { userId: event.userId, payload: event.payload });
+        }
+      } catch (error) {
+        if (!this.closed) console.error("Notification transport tail error:", error);
+      }
+
+      if (!this.closed) await sleep(RETRY_DELAY);
+    }
+  }
+
+  async publish(userId, payload) {
+    await this.ready;
+    await this.collection.insertOne({
+      userId,
+      // Store plain JSON so every instance delivers the same shape
+      payload: JSON.parse(JSON.stringify(payload)),
+      createdAt: new Date(),
+    });
+  }
+
+  onMessage(handler) {
+    this.emitter.on("message", handler);
+  }
+
+  async close() {
+    this.closed = true;
+    this.emitter.removeAllListeners();
+    if (this.cursor) await this.cursor.close();
+  }
+}
+
+module.exports = MongoTransport;
@@ -0,0 +1,14 @@
+// Indian postal PIN codes: six digits, never starting with 0.
+
+const PIN_CODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+// Drop the spaces people often type ("400 001")
+const normalizePinCode = (value) => (value || "").toString().replace(/\s+/g, "");
+
+const isValidPinCode = (value) => PIN_CODE_PATTERN.test(normalizePinCode(value));
+
+module.exports = {
+  PIN_CODE_PATTERN,
+  normalizePinCode,
+  isValidPinCode,
+};
@@ -0,0 +1,44 @@
+// Location-adjusted pricing helpers.
+// Partner.locationPricing maps a city name to a price multiplier that is applied
+// to every service's basePrice when the work happens in that city (1.2 = 20% more).
+// Cities without an entry, or with a value outside LOCATION_MULTIPLIER_RANGE (e.g. an
+// absolute price saved before validation enforced the range), use the base price.
+
+const LOCATION_MULTIPLIER_RANGE = { min: 0.1, max: 5 };
+
+const isValidLocationMultiplier = (multiplier) =>
+  typeof multiplier === "number" &&
+  multiplier >= LOCATION_MULTIPLIER_RANGE.min &&
+  multiplier <= LOCATION_MULTIPLIER_RANGE.max;
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeLocation = (location) => (location || "").toString().trim().toLowerCase();
+
+const getLocationMultiplier = (partner, location) => {
+  const target = normalizeLocation(location);
+  if (!target || !partner.locationPricing) return 1;
+
+  const entries =
+    partner.locationPricing instanceof Map
+      ? [...partner.locationPricing.entries()]
+      : Object.entries(partner.locationPricing);
+
+  const match = entries.find(
+    ([city, multiplier]) => normalizeLocation(city) === target && isValidLocationMultiplier(multiplier),
+  );
+  return match ? match[1] : 1;
+};
+
+const getEffectivePrice = (service, partner, location) => {
+  return roundPrice(service.basePrice * getLocationMultiplier(partner, location));
+};
+
+module.exports = {
+  LOCATION_MULTIPLIER_RANGE,
+  isValidLocationMultiplier,
+  roundPrice,
+  normalizeLocation,
+  getLocationMultiplier,
+  getEffectivePrice,
+};
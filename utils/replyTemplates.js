@@ -0,0 +1,57 @@
+// Partner reply templates. Template bodies may use these placeholders:
+//   {{clientName}}  the client's username
+//   {{eventDate}}   the lead's event date, e.g. "14 February 2026"
+//   {{service}}     the requested service type
+// Unknown placeholders are left as written so mistakes are visible in the preview.
+
+const User = require("../models/User");
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Wording used when the lead doesn't have the value, so the sentence still reads well
+const FALLBACKS = {
+  clientName: "there",
+  eventDate: "your event date",
+  service: "event",
+};
+
+const formatEventDate = (date) =>
+  new Date(date).toLocaleDateString("en-IN", { day: "numeric", month: "long", year: "numeric" });
+
+const renderTemplate = (body, values) =>
+  body.replace(PLACEHOLDER_PATTERN, (placeholder, key) => (Object.hasOwn(values, key) ? values[key] : placeholder));
+
+// Fill a template body from a lead (clientId may be populated or a plain ID)
+const renderReplyTemplate = async (body, lead) => {
+  const client = lead.clientId?.username ? lead.clientId : await User.findById(lead.clientId).select("username");
+
+  return renderTemplate(body, {
+    clientName: client?.username || FALLBACKS.clientName,
+    eventDate: lead.eventDate ? formatEventDate(lead.eventDate) : FALLBACKS.eventDate,
+    service: lead.serviceType || FALLBACKS.service,
+  });
+};
+
+// Add the partner's auto-reply as the first shared note of a lead; the caller saves it.
+// It is a system note and does not touch status or contactedAt, so response times stay honest.
+const addAutoReply = async (lead, partner) => {
+  if (!partner.autoReply?.enabled) return false;
+
+  const template = partner.replyTemplates.id(partner.autoReply.templateId);
+  if (!template) return false;
+
+  lead.notes.unshift({
+    note: await renderReplyTemplate(template.body, lead),
+    addedBy: partner.userId,
+    addedAt: new Date(),
+    visibility: "shared",
+    system: true,
+  });
+  return true;
+};
+
+module.exports = {
+  renderTemplate,
+  renderReplyTemplate,
+  addAutoReply,
+};
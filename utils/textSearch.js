@@ -0,0 +1,60 @@
+// Text search helpers. User input is reduced to plain word tokens before it reaches
+// MongoDB, so characters like "(" or "-" can't break a query or act as operators.
+// Typo tolerance comes from trigrams: "photgrapher" and "photographer" share most of theirs.
+
+const NGRAM_SIZE = 3;
+
+// Treat user input as a literal inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Lowercase letter/number runs, accents removed
+const tokenize = (text) =>
+  (text || "")
+    .toString()
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+// Trigrams of a word; short words are kept whole
+const wordNgrams = (word) => {
+  if (word.length <= NGRAM_SIZE) return [word];
+
+  const grams = [];
+  for (let i = 0; i <= word.length - NGRAM_SIZE; i++) {
+    grams.push(word.slice(i, i + NGRAM_SIZE));
+  }
+  return grams;
+};
+
+// Space-separated, de-duplicated trigrams of every word in the values, for indexing
+const buildNgrams = (values) => {
+  const grams = new Set();
+  values.flat().forEach((value) => {
+    tokenize(value).forEach((word) => wordNgrams(word).forEach((gram) => grams.add(gram)));
+  });
+  return [...grams].join(" ");
+};
+
+// The query's words (at most 10) and their de-duplicated trigrams
+const buildSearchTerms = (input) => {
+  const words = tokenize(input).slice(0, 10);
+  const grams = new Set();
+  words.forEach((word) => wordNgrams(word).forEach((gram) => grams.add(gram)));
+  return { words, grams: [...grams] };
+};
+
+// $text search string: the words themselves (to hit the weighted fields) plus their
+// trigrams (to hit the n-gram field). Returns "" when the input has no searchable words.
+const buildTextSearch = (input) => {
+  const { words, grams } = buildSearchTerms(input);
+  return [...new Set([...words, ...grams])].join(" ");
+};
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  buildNgrams,
+  buildSearchTerms,
+  buildTextSearch,
+};